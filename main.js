@@ -3,201 +3,2552 @@
 const editor = document.getElementById('editor');
 const consoleEl = document.getElementById('console');
 const autoRunEl = document.getElementById('autoRun');
+const langSelect = document.getElementById('langSelect');
 const runBtn = document.getElementById('runBtn');
 const exampleBtn = document.getElementById('exampleBtn');
 const clearBtn = document.getElementById('clearBtn');
 const saveBtn = document.getElementById('saveBtn');
-const loadBtn = document.getElementById('loadBtn');
+const importBtn = document.getElementById('importBtn');
+const importInput = document.getElementById('importInput');
 const exportBtn = document.getElementById('exportBtn');
+const shareBtn = document.getElementById('shareBtn');
 const highlightEl = document.getElementById('highlight');
+const editorWrap = document.getElementById('editorWrap');
 const editStampEl = document.getElementById('editStamp');
+const replForm = document.getElementById('replForm');
+const replInput = document.getElementById('replInput');
+const splitEl = document.getElementById('split');
+const sidebarBtn = document.getElementById('sidebarBtn');
+const newSnippetBtn = document.getElementById('newSnippetBtn');
+const snippetListEl = document.getElementById('snippetList');
+const snippetTitleEl = document.getElementById('snippetTitle');
+const importMapEditor = document.getElementById('importMapEditor');
+const htmlEditor = document.getElementById('htmlEditor');
+const cssEditor = document.getElementById('cssEditor');
+const previewBtn = document.getElementById('previewBtn');
+const previewPane = document.getElementById('previewPane');
+const previewHost = document.getElementById('previewHost');
+const previewResizer = document.getElementById('previewResizer');
+const settingsBtn = document.getElementById('settingsBtn');
+const settingsPanel = document.getElementById('settingsPanel');
+const settingsCloseBtn = document.getElementById('settingsCloseBtn');
+const settingsForm = document.getElementById('settingsForm');
+const keymapTable = document.getElementById('keymapTable');
+const resetKeymapBtn = document.getElementById('resetKeymapBtn');
+const resetSettingsBtn = document.getElementById('resetSettingsBtn');
+const editorTabs = document.getElementById('editorTabs');
+const findBar = document.getElementById('findBar');
+const findInput = document.getElementById('findInput');
+const findRegexEl = document.getElementById('findRegex');
+const findCaseEl = document.getElementById('findCase');
+const findWordEl = document.getElementById('findWord');
+const findCountEl = document.getElementById('findCount');
+const replaceRow = document.getElementById('replaceRow');
+const replaceInput = document.getElementById('replaceInput');
+const consoleToolbar = document.getElementById('consoleToolbar');
+const consoleFilterEl = document.getElementById('consoleFilter');
+const showTimestampsEl = document.getElementById('showTimestamps');
+const preserveLogEl = document.getElementById('preserveLog');
+const clearConsoleBtn = document.getElementById('clearConsoleBtn');
+const consoleExportTextBtn = document.getElementById('consoleExportText');
+const consoleExportJsonBtn = document.getElementById('consoleExportJson');
+const testsTab = document.getElementById('testsTab');
+const testsBadgeEl = document.getElementById('testsBadge');
+const testsSummaryEl = document.getElementById('testsSummary');
+const testListEl = document.getElementById('testList');
+const historyTab = document.getElementById('historyTab');
+const historyEl = document.getElementById('history');
+const historyListEl = document.getElementById('historyList');
+const historyDiffEl = document.getElementById('historyDiff');
 const VERSION = '1.1.0';
 const BUILD_DATE = '2025-09-17';
 
+// Auto Run debounce and execution limits for sandbox runs (ms), and the other preferences of the
+// Settings panel, which loadSettings() restores from localStorage.
+const settings = {
+  autoRunDelayMs: 300, // quiet time after the last edit before Auto Run fires
+  syncBudgetMs: 1000, // a single synchronous slice (e.g. a runaway loop)
+  totalBudgetMs: 10000, // timers / animation frames still pending this long after a run starts are cancelled
+  theme: 'dark', // 'dark' | 'light' | 'contrast'
+  fontSize: 14, // editor font size (px)
+  indentSize: 4, // columns per indent level, also the tab width
+  indentWithTabs: false,
+  autoPair: true, // auto-close brackets and quotes
+  keymap: {}, // action id -> key combos, overriding the defaults in ACTIONS
+};
+const SETTINGS_DEFAULTS = structuredClone(settings);
+const SETTINGS_KEY = 'realtime_console_settings';
+
 // Example code snippet
 const DEFAULT_CODE = `// Type your JavaScript here. It runs immediately, and output is cleared on every run.\nconsole.log('Hello', 'World');\nconsole.info('info message');\nconsole.warn('warning');\nconsole.error('something wrong?');\n\n// You can also use async/await\n(async () => {\n    await new Promise(r => setTimeout(r, 500));\n    console.log('done after 500ms');\n})();`;
 
-// Start with an empty editor; user can insert the example via the Example button
+// Start with an empty editor; initSnippets() loads the active snippet once IndexedDB answers
 editor.value = '';
 
+// Runtime injected into the sandbox iframe. createSandbox() stringifies this function into the
+// srcdoc, so it must stay self-contained: no references to anything outside its own body.
+function sandboxMain(options) {
+  const MAX_DEPTH = 3; // nesting levels serialized before an object is shown collapsed
+  const MAX_ENTRIES = 100; // properties / items kept per container
+  const MAX_STRING = 10000;
+  // Every message carries the run id so the parent can drop output from superseded runs
+  const send = (type, args, extra) => parent.postMessage({ __fromSandbox: true, runId: options.runId, type, args, ...extra }, '*');
+  // Globals of a fresh page; whatever the runtime or the run adds later is offered for completion
+  const baseGlobals = new Set(Object.getOwnPropertyNames(window));
+
+  const className = (v) => {
+    try {
+      const proto = Object.getPrototypeOf(v);
+      if (proto === null) return 'Object';
+      const ctor = proto.constructor;
+      return (ctor && typeof ctor.name === 'string' && ctor.name) || 'Object';
+    } catch (_) { return 'Object'; }
+  };
+  // Pull name and parameter list out of a function's source (best effort)
+  const describeFunction = (fn) => {
+    let src = '';
+    try { src = Function.prototype.toString.call(fn); } catch (_) {}
+    const kind = /^class\b/.test(src) ? 'class' : /^async\b/.test(src) ? 'async' : 'function';
+    const m = src.match(/^[^(=]*\(([^)]*)\)/) || src.match(/^(?:async\s*)?([\w$]+)\s*=>/);
+    const params = m ? m[1].replace(/\s+/g, ' ').trim() : '';
+    return { t: 'function', kind, name: fn.name || '', params };
+  };
+  const describeNode = (n) => {
+    if (n.nodeType === 1) {
+      const attrs = Array.from(n.attributes).slice(0, 5).map(a => ` ${a.name}="${a.value}"`).join('');
+      return `<${n.tagName.toLowerCase()}${attrs}>`;
+    }
+    return n.nodeName;
+  };
+
+  // Serialize any value into a tagged, depth-limited preview tree the console pane can render.
+  // Only ancestors are tracked, so shared (non-circular) references are still shown in full.
+  function preview(v, depth = 0, ancestors = new Set()) {
+    if (v === null) return { t: 'null' };
+    switch (typeof v) {
+      case 'undefined': return { t: 'undefined' };
+      case 'boolean': return { t: 'boolean', v: String(v) };
+      case 'number': return { t: 'number', v: Object.is(v, -0) ? '-0' : String(v) };
+      case 'bigint': return { t: 'bigint', v: v + 'n' };
+      case 'string': return { t: 'string', v: v.length > MAX_STRING ? v.slice(0, MAX_STRING) + '…' : v };
+      case 'symbol': return { t: 'symbol', v: v.toString() };
+      case 'function': return describeFunction(v);
+    }
+    const cls = className(v);
+    if (ancestors.has(v)) return { t: 'circular', cls };
+    if (v instanceof Date) return { t: 'date', v: isNaN(v) ? 'Invalid Date' : v.toISOString() };
+    if (v instanceof RegExp) return { t: 'regexp', v: String(v) };
+    if (v instanceof Error) return { t: 'error', cls, v: `${v.name}: ${v.message}`, stack: String(v.stack || '') };
+    if (typeof Node === 'function' && v instanceof Node) return { t: 'node', v: describeNode(v) };
+
+    const node = { t: 'object', cls, entries: [], more: 0 };
+    if (Array.isArray(v) || (ArrayBuffer.isView(v) && !(v instanceof DataView))) { node.t = 'array'; node.size = v.length; }
+    else if (v instanceof Map) { node.t = 'map'; node.size = v.size; }
+    else if (v instanceof Set) { node.t = 'set'; node.size = v.size; }
+    if (depth >= MAX_DEPTH) { node.truncated = true; return node; }
+
+    ancestors.add(v);
+    try {
+      const push = (key, value) => {
+        if (node.entries.length >= MAX_ENTRIES) { node.more++; return; }
+        node.entries.push([key, value]);
+      };
+      if (node.t === 'map') {
+        for (const [k, val] of v) push(preview(k, depth + 1, ancestors), preview(val, depth + 1, ancestors));
+      } else if (node.t === 'set') {
+        for (const item of v) push(null, preview(item, depth + 1, ancestors));
+      } else {
+        const keys = [...Object.keys(v), ...Object.getOwnPropertySymbols(v).filter(s => Object.prototype.propertyIsEnumerable.call(v, s))];
+        for (const key of keys) {
+          const label = typeof key === 'symbol' ? `[${key.toString()}]` : key;
+          const desc = Object.getOwnPropertyDescriptor(v, key);
+          // Never invoke getters while previewing; they may have side effects
+          push(label, desc && 'value' in desc ? preview(desc.value, depth + 1, ancestors) : { t: 'accessor' });
+        }
+      }
+    } catch (err) {
+      node.entries.push(['[[Error]]', { t: 'string', v: String(err) }]);
+    } finally {
+      ancestors.delete(v);
+    }
+    return node;
+  }
+
+  // Capture the caller's stack, dropping this helper and the console method frames
+  const captureStack = () => String(new Error().stack || '').split('\n').filter(l => l && !/^Error\b/.test(l)).slice(2).join('\n');
+
+  // console.table: rows keyed by index/key, columns from the union of the row objects' keys
+  function tableData(data, columns) {
+    if (data === null || typeof data !== 'object') return null;
+    const source = data instanceof Map ? [...data].map(([k, v]) => [String(k), v])
+      : data instanceof Set ? [...data].map((v, i) => [String(i), v])
+      : Object.keys(data).map(k => [k, data[k]]);
+    const cols = Array.isArray(columns) ? columns.map(String) : [];
+    const table = { t: 'table', columns: cols, hasValue: false, rows: [], more: Math.max(0, source.length - MAX_ENTRIES) };
+    for (const [key, value] of source.slice(0, MAX_ENTRIES)) {
+      const row = { key, cells: {} };
+      if (value !== null && typeof value === 'object') {
+        for (const col of Object.keys(value)) {
+          if (!Array.isArray(columns) && !cols.includes(col)) cols.push(col);
+          if (cols.includes(col)) row.cells[col] = preview(value[col], MAX_DEPTH - 1);
+        }
+      } else {
+        table.hasValue = true;
+        row.value = preview(value);
+      }
+      table.rows.push(row);
+    }
+    return table;
+  }
+
+  const native = {};
+  for (const k of Object.keys(console)) native[k] = console[k];
+  const forward = (type, name) => (...a) => {
+    try { native[name].apply(console, a); } catch (_) {}
+    send(type, a.map(x => preview(x)));
+  };
+  console.log = forward('log', 'log');
+  console.debug = forward('log', 'debug');
+  console.info = forward('info', 'info');
+  console.warn = forward('warn', 'warn');
+  console.error = forward('error', 'error');
+  console.dir = (obj) => { try { native.dir(obj); } catch (_) {} send('dir', [preview(obj)]); };
+  console.table = (data, columns) => {
+    const table = tableData(data, columns);
+    if (!table) { console.log(data); return; }
+    send('table', [table]);
+  };
+  console.group = (...label) => send('group', label.length ? label.map(x => preview(x)) : [preview('console.group')]);
+  console.groupCollapsed = (...label) => send('groupCollapsed', label.length ? label.map(x => preview(x)) : [preview('console.group')]);
+  console.groupEnd = () => send('groupEnd', []);
+  console.clear = () => send('clear', []);
+  console.trace = (...a) => send('trace', [preview('console.trace'), ...a.map(x => preview(x))], { stack: captureStack() });
+  console.assert = (cond, ...a) => {
+    if (cond) return;
+    send('error', [preview('Assertion failed:'), ...a.map(x => preview(x))], { stack: captureStack() });
+  };
+
+  const timers = new Map();
+  const counts = new Map();
+  const elapsed = (label) => `${label}: ${(performance.now() - timers.get(label)).toFixed(3)} ms`;
+  console.time = (label = 'default') => {
+    label = String(label);
+    if (timers.has(label)) { console.warn(`Timer '${label}' already exists`); return; }
+    timers.set(label, performance.now());
+  };
+  console.timeLog = (label = 'default', ...a) => {
+    label = String(label);
+    if (!timers.has(label)) { console.warn(`Timer '${label}' does not exist`); return; }
+    send('log', [preview(elapsed(label)), ...a.map(x => preview(x))]);
+  };
+  console.timeEnd = (label = 'default') => {
+    label = String(label);
+    if (!timers.has(label)) { console.warn(`Timer '${label}' does not exist`); return; }
+    send('log', [preview(elapsed(label))]);
+    timers.delete(label);
+  };
+  console.count = (label = 'default') => {
+    label = String(label);
+    counts.set(label, (counts.get(label) || 0) + 1);
+    send('log', [preview(`${label}: ${counts.get(label)}`)]);
+  };
+  console.countReset = (label = 'default') => { counts.delete(String(label)); };
+
+  // --- Execution limits ---
+  // Loops in user code are instrumented by the parent to call __loopGuard(). A synchronous slice
+  // starts at the first guard call and ends when the event loop regains control (a macrotask
+  // fires); a slice running past syncBudgetMs throws. Once stopped, every guard call throws, so
+  // loops that swallow the error in a try/catch still unwind.
+  const nativeSetTimeout = window.setTimeout.bind(window);
+  const nativeClearTimeout = window.clearTimeout.bind(window);
+  const nativeSetInterval = window.setInterval.bind(window);
+  const nativeClearInterval = window.clearInterval.bind(window);
+  const nativeRequestAnimationFrame = window.requestAnimationFrame.bind(window);
+  const nativeCancelAnimationFrame = window.cancelAnimationFrame.bind(window);
+  const TIMEOUT = Symbol('timeout');
+  const pending = new Map(); // timer id -> cancel function, for timers scheduled by user code
+  let sliceOpen = false;
+  let sliceStart = 0;
+  let iterations = 0;
+  let stopped = false;
+  const timeoutError = () => {
+    const err = new RangeError('Execution timed out');
+    err[TIMEOUT] = true;
+    return err;
+  };
+  function stop(reason) {
+    if (stopped) return;
+    stopped = true;
+    for (const cancel of pending.values()) cancel();
+    pending.clear();
+    send('error', [preview(`Execution timed out: ${reason}`)]);
+  }
+  window.__loopGuard = () => {
+    if (stopped) throw timeoutError();
+    if (!sliceOpen) {
+      sliceOpen = true;
+      sliceStart = performance.now();
+      nativeSetTimeout(() => { sliceOpen = false; }, 0);
+    } else if ((++iterations & 1023) === 0 && performance.now() - sliceStart > options.syncBudgetMs) {
+      stop(`synchronous code ran longer than ${options.syncBudgetMs} ms`);
+      throw timeoutError();
+    }
+    return true;
+  };
+  const callback = (fn, args) => (typeof fn === 'function' ? fn(...args) : (0, eval)(String(fn)));
+  window.setTimeout = (fn, ms, ...args) => {
+    if (stopped) return 0;
+    const id = nativeSetTimeout(() => { pending.delete(id); callback(fn, args); }, ms);
+    pending.set(id, () => nativeClearTimeout(id));
+    return id;
+  };
+  window.clearTimeout = (id) => { pending.delete(id); nativeClearTimeout(id); };
+  window.setInterval = (fn, ms, ...args) => {
+    if (stopped) return 0;
+    const id = nativeSetInterval(() => callback(fn, args), ms);
+    pending.set(id, () => nativeClearInterval(id));
+    return id;
+  };
+  window.clearInterval = (id) => { pending.delete(id); nativeClearInterval(id); };
+  window.requestAnimationFrame = (fn) => {
+    if (stopped) return 0;
+    const id = nativeRequestAnimationFrame((t) => { pending.delete(`raf${id}`); fn(t); });
+    pending.set(`raf${id}`, () => nativeCancelAnimationFrame(id));
+    return id;
+  };
+  window.cancelAnimationFrame = (id) => { pending.delete(`raf${id}`); nativeCancelAnimationFrame(id); };
+  // Total budget: a run that still has timers scheduled after totalBudgetMs is terminated
+  function startRunWatchdog() {
+    nativeSetTimeout(() => {
+      if (pending.size) stop(`run exceeded ${options.totalBudgetMs} ms; pending timers were cancelled`);
+    }, options.totalBudgetMs);
+  }
+
+  // --- Structured errors ---
+  // Run code is tagged with a sourceURL, so its frames read `user-code.js:line:column` in every
+  // engine. Those positions are in the instrumented code; the parent maps them back to the editor.
+  const USER_CODE_URL = 'user-code.js';
+  const USER_FRAME_RE = /user-code\.js:(\d+):(\d+)/;
+  let inUserScript = false; // syntax errors surface while the run's script element is inserted
+  let moduleRun = false; // module scripts run later, so their errors are matched by filename instead
+  function errorInfo(err, fallback) {
+    const frames = [];
+    for (const line of String((err && err.stack) || '').split('\n')) {
+      const m = line.match(USER_FRAME_RE);
+      if (!m) continue;
+      const fn = (line.match(/^\s*at\s+(?:async\s+)?([^\s(]+)\s+\(/) || line.match(/^([^@\s]*)@/) || [])[1] || '';
+      frames.push({ fn, line: +m[1], column: +m[2] });
+    }
+    const top = frames[0] || fallback || null;
+    const message = err instanceof Error ? `${err.name}: ${err.message}` : String(err);
+    return { message, line: top ? top.line : null, column: top ? top.column : null, frames };
+  }
+
+  // Errors thrown by the loop guard were already reported by stop()
+  window.addEventListener('error', (e) => {
+    if (e.error && e.error[TIMEOUT]) return;
+    const filename = String(e.filename);
+    const fromRun = inUserScript || filename.endsWith(USER_CODE_URL) || (moduleRun && filename === document.URL);
+    const fallback = fromRun && e.lineno ? { line: e.lineno, column: e.colno || 1 } : null;
+    const err = e.error !== undefined ? e.error : e.message;
+    send('error', [preview(err)], { error: errorInfo(err, fallback) });
+  });
+  window.addEventListener('unhandledrejection', (e) => {
+    if (e.reason && e.reason[TIMEOUT]) return;
+    send('error', [preview('Uncaught (in promise)'), preview(e.reason)], { error: errorInfo(e.reason) });
+  });
+  // --- Test runner ---
+  // describe/it/expect for quick checks. Tests are collected while the run's code executes and
+  // start in the next macrotask, once it has finished; tests registered later (e.g. after an
+  // await) join the queue. Each result is sent as a 'test' message, and a 'testsDone' summary
+  // whenever the queue drains.
+  const TEST_TIMEOUT_MS = 5000;
+  const suitePath = [];
+  const testQueue = [];
+  let testsRunning = false;
+  const testTotals = { passed: 0, failed: 0, started: 0 };
+
+  // Stable, multi-line rendering of a value for failure messages and diffs (object keys sorted)
+  function formatValue(v, indent = '', seen = []) {
+    if (typeof v === 'string') return JSON.stringify(v);
+    if (typeof v === 'bigint') return `${v}n`;
+    if (typeof v === 'number') return Object.is(v, -0) ? '-0' : String(v);
+    if (typeof v === 'symbol') return v.toString();
+    if (typeof v === 'function') return `[Function ${v.name || '(anonymous)'}]`;
+    if (v === null || typeof v !== 'object') return String(v);
+    if (seen.includes(v)) return '[Circular]';
+    if (v instanceof Date) return `Date(${isNaN(v) ? 'Invalid Date' : v.toISOString()})`;
+    if (v instanceof RegExp) return String(v);
+    if (v instanceof Error) return `${v.name}: ${v.message}`;
+    const inner = indent + '  ';
+    const nested = [...seen, v];
+    const block = (open, items, close) => (items.length ? `${open}\n${items.map(item => inner + item).join(',\n')}\n${indent}${close}` : `${open}${close}`);
+    if (Array.isArray(v)) return block('[', Array.from(v, item => formatValue(item, inner, nested)), ']');
+    if (v instanceof Map) return block('Map {', [...v].map(([k, val]) => `${formatValue(k, inner, nested)} => ${formatValue(val, inner, nested)}`), '}');
+    if (v instanceof Set) return block('Set {', [...v].map(item => formatValue(item, inner, nested)), '}');
+    const name = className(v);
+    const keys = Object.keys(v).sort();
+    return block(name === 'Object' ? '{' : `${name} {`, keys.map(k => `${JSON.stringify(k)}: ${formatValue(v[k], inner, nested)}`), '}');
+  }
+  const shortValue = (v) => {
+    const text = formatValue(v).replace(/\n\s*/g, ' ');
+    return text.length > 80 ? text.slice(0, 79) + '…' : text;
+  };
+
+  // Deep equality as used by toEqual: same prototypes, own enumerable keys (undefined-valued
+  // properties count as missing), Map/Set contents, Date times and RegExp sources
+  function equals(a, b, seen = []) {
+    if (Object.is(a, b)) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+    if (seen.some(([x, y]) => x === a && y === b)) return true;
+    seen = [...seen, [a, b]];
+    if (a instanceof Date) return a.getTime() === b.getTime();
+    if (a instanceof RegExp) return String(a) === String(b);
+    if (a instanceof Map) return a.size === b.size && [...a].every(([k, v]) => b.has(k) && equals(v, b.get(k), seen));
+    if (a instanceof Set) return a.size === b.size && [...a].every(v => b.has(v) || [...b].some(w => equals(v, w, seen)));
+    if (Array.isArray(a)) return a.length === b.length && a.every((v, i) => equals(v, b[i], seen));
+    const keys = (o) => Object.keys(o).filter(k => o[k] !== undefined);
+    const ka = keys(a);
+    return ka.length === keys(b).length && ka.every(k => Object.prototype.hasOwnProperty.call(b, k) && equals(a[k], b[k], seen));
+  }
+
+  class AssertionError extends Error {
+    constructor(message, diff) {
+      super(message);
+      this.name = 'AssertionError';
+      this.diff = diff; // { expected, actual } formatted for a line diff
+    }
+  }
+  // Matchers get the received value and return { pass, message, diff? }; `message` reads for
+  // the failing direction (`not` is inserted by expect when negated)
+  const describeThrown = (err) => (err instanceof Error ? `${err.name}: ${err.message}` : shortValue(err));
+  const MATCHERS = {
+    toBe: (r, e) => ({ pass: Object.is(r, e), message: not => `expected ${shortValue(r)} ${not}to be ${shortValue(e)}${!not && equals(r, e) ? ' (deeply equal: use toEqual)' : ''}`, diff: true, expected: e }),
+    toEqual: (r, e) => ({ pass: equals(r, e), message: not => `expected value ${not}to equal ${shortValue(e)}`, diff: true, expected: e }),
+    toBeTruthy: (r) => ({ pass: !!r, message: not => `expected ${shortValue(r)} ${not}to be truthy` }),
+    toBeFalsy: (r) => ({ pass: !r, message: not => `expected ${shortValue(r)} ${not}to be falsy` }),
+    toBeNull: (r) => ({ pass: r === null, message: not => `expected ${shortValue(r)} ${not}to be null` }),
+    toBeUndefined: (r) => ({ pass: r === undefined, message: not => `expected ${shortValue(r)} ${not}to be undefined` }),
+    toBeDefined: (r) => ({ pass: r !== undefined, message: not => `expected ${shortValue(r)} ${not}to be defined` }),
+    toBeNaN: (r) => ({ pass: Number.isNaN(r), message: not => `expected ${shortValue(r)} ${not}to be NaN` }),
+    toBeInstanceOf: (r, C) => ({ pass: r instanceof C, message: not => `expected ${shortValue(r)} ${not}to be an instance of ${C && C.name}` }),
+    toBeGreaterThan: (r, n) => ({ pass: r > n, message: not => `expected ${shortValue(r)} ${not}to be > ${shortValue(n)}` }),
+    toBeGreaterThanOrEqual: (r, n) => ({ pass: r >= n, message: not => `expected ${shortValue(r)} ${not}to be >= ${shortValue(n)}` }),
+    toBeLessThan: (r, n) => ({ pass: r < n, message: not => `expected ${shortValue(r)} ${not}to be < ${shortValue(n)}` }),
+    toBeLessThanOrEqual: (r, n) => ({ pass: r <= n, message: not => `expected ${shortValue(r)} ${not}to be <= ${shortValue(n)}` }),
+    toBeCloseTo: (r, n, digits = 2) => ({ pass: Math.abs(r - n) < 10 ** -digits / 2, message: not => `expected ${shortValue(r)} ${not}to be close to ${shortValue(n)} (${digits} digits)` }),
+    toContain: (r, item) => ({ pass: typeof r === 'string' ? r.includes(item) : r != null && Array.from(r).includes(item), message: not => `expected ${shortValue(r)} ${not}to contain ${shortValue(item)}` }),
+    toHaveLength: (r, n) => ({ pass: r != null && r.length === n, message: not => `expected ${shortValue(r)} ${not}to have length ${n}${r != null ? `, got ${r.length}` : ''}` }),
+    toMatch: (r, p) => ({ pass: typeof r === 'string' && (p instanceof RegExp ? p.test(r) : r.includes(p)), message: not => `expected ${shortValue(r)} ${not}to match ${shortValue(p)}` }),
+    // `r` is a function to call, or with .rejects the rejection reason itself
+    toThrow: (r, expected, rejected) => {
+      let threw = rejected;
+      let err = r;
+      if (!rejected) {
+        if (typeof r !== 'function') throw new TypeError('expect(fn).toThrow() needs a function');
+        try { r(); threw = false; } catch (e) { threw = true; err = e; }
+      }
+      if (!threw) return { pass: false, message: not => `expected function ${not}to throw` };
+      const text = err instanceof Error ? err.message : String(err);
+      const pass = expected === undefined ? true
+        : typeof expected === 'string' ? text.includes(expected)
+        : expected instanceof RegExp ? expected.test(text)
+        : typeof expected === 'function' ? err instanceof expected
+        : expected instanceof Error ? text === expected.message : equals(err, expected);
+      const wanted = expected === undefined ? '' : ` matching ${typeof expected === 'function' ? expected.name : shortValue(expected instanceof Error ? expected.message : expected)}`;
+      return { pass, message: not => `expected function ${not}to throw${wanted}, but it threw ${describeThrown(err)}` };
+    },
+  };
+  function expect(received) {
+    const build = (negate, mode) => {
+      const api = {};
+      for (const [name, matcher] of Object.entries(MATCHERS)) {
+        const check = (value, args, rejected) => {
+          const result = name === 'toThrow' ? matcher(value, args[0], rejected) : matcher(value, ...args);
+          if (result.pass !== negate) return;
+          const diff = result.diff && !negate ? { expected: formatValue(result.expected), actual: formatValue(value) } : null;
+          throw new AssertionError(`${mode ? `${mode}: ` : ''}${result.message(negate ? 'not ' : '')}`, diff);
+        };
+        api[name] = (...args) => {
+          if (mode === 'resolves') return Promise.resolve(received).then(value => check(value, args, false));
+          if (mode === 'rejects') {
+            return Promise.resolve(received).then(
+              (value) => { throw new AssertionError(`rejects: expected a rejection, but the promise resolved to ${shortValue(value)}`); },
+              (reason) => check(reason, args, true));
+          }
+          check(received, args, false);
+        };
+      }
+      return api;
+    };
+    const api = build(false, null);
+    api.not = build(true, null);
+    api.resolves = build(false, 'resolves');
+    api.resolves.not = build(true, 'resolves');
+    api.rejects = build(false, 'rejects');
+    api.rejects.not = build(true, 'rejects');
+    return api;
+  }
+
+  function describe(name, fn) {
+    suitePath.push(String(name));
+    try {
+      const result = fn();
+      if (result && typeof result.then === 'function') throw new TypeError('describe() callbacks must be synchronous; make the it() callbacks async instead');
+    } finally {
+      suitePath.pop();
+    }
+  }
+  function it(name, fn) {
+    testQueue.push({ path: suitePath.slice(), name: String(name), fn });
+    if (testsRunning) return;
+    testsRunning = true;
+    if (!testTotals.started) testTotals.started = performance.now();
+    nativeSetTimeout(runTests, 0);
+  }
+  async function runTests() {
+    while (testQueue.length && !stopped) {
+      const test = testQueue.shift();
+      const start = performance.now();
+      let timer = 0;
+      let error = null;
+      try {
+        await Promise.race([
+          Promise.resolve().then(() => test.fn()),
+          new Promise((resolve, reject) => { timer = nativeSetTimeout(() => reject(new Error(`Test timed out after ${TEST_TIMEOUT_MS} ms`)), TEST_TIMEOUT_MS); }),
+        ]);
+      } catch (err) {
+        error = err;
+      }
+      nativeClearTimeout(timer);
+      testTotals[error ? 'failed' : 'passed']++;
+      const result = { path: test.path, name: test.name, passed: !error, duration: performance.now() - start };
+      if (error) result.error = { ...errorInfo(error), stack: error && error.stack ? String(error.stack) : '', diff: (error && error.diff) || null };
+      send('test', [], { test: result });
+    }
+    testsRunning = false;
+    send('testsDone', [], { summary: { passed: testTotals.passed, failed: testTotals.failed, duration: performance.now() - testTotals.started } });
+  }
+  window.describe = describe;
+  window.it = window.test = it;
+  window.expect = expect;
+
+  // --- Completions ---
+  // Members for the editor's autocomplete: `path` is a dotted name resolved from the global scope
+  // (top-level let/const of a classic run included); an empty path lists the globals added since
+  // the page was created. Only data properties are read, so getters (the user's own ones on the
+  // global object included) are never invoked.
+  const MAX_COMPLETIONS = 300;
+  const IDENTIFIER_RE = /^[A-Za-z_$][\w$]*$/;
+  function completionEntry(name, value, member) {
+    if (typeof value !== 'function') return { name, kind: member ? 'property' : 'variable', params: null };
+    let native = false;
+    try { native = /\{\s*\[native code\]\s*\}$/.test(Function.prototype.toString.call(value)); } catch (_) {}
+    const info = describeFunction(value);
+    return { name, kind: info.kind === 'class' ? 'class' : member ? 'method' : 'function', params: native ? null : info.params };
+  }
+  // `target[key]` if that is a data property somewhere on its prototype chain, else undefined
+  function dataProperty(target, key) {
+    let desc;
+    for (let o = Object(target); o && !desc; o = Object.getPrototypeOf(o)) desc = Object.getOwnPropertyDescriptor(o, key);
+    return desc && 'value' in desc ? desc.value : undefined;
+  }
+  function resolvePath(path) {
+    const [head, ...rest] = path.split('.');
+    if (!IDENTIFIER_RE.test(head)) return undefined;
+    let target;
+    if (head in window) target = dataProperty(window, head);
+    else try { target = (0, eval)(head); } catch (_) { return undefined; } // a let/const/class binding
+    for (const key of rest) {
+      if (target == null) return undefined;
+      target = dataProperty(target, key);
+    }
+    return target;
+  }
+  function completionMembers(path) {
+    const members = new Map();
+    if (!path) {
+      for (const name of Object.getOwnPropertyNames(window)) {
+        if (baseGlobals.has(name) || name.startsWith('__') || !IDENTIFIER_RE.test(name)) continue;
+        const desc = Object.getOwnPropertyDescriptor(window, name);
+        members.set(name, completionEntry(name, desc && 'value' in desc ? desc.value : undefined, false));
+      }
+      return [...members.values()].slice(0, MAX_COMPLETIONS);
+    }
+    const target = resolvePath(path);
+    if (target == null) return [];
+    const self = Object(target);
+    for (let o = self; o && members.size < MAX_COMPLETIONS; o = Object.getPrototypeOf(o)) {
+      // Object / Function prototype members are noise on everything else
+      if (o !== self && (o === Object.prototype || o === Function.prototype)) break;
+      for (const name of Object.getOwnPropertyNames(o)) {
+        if (members.has(name) || !IDENTIFIER_RE.test(name) || name.startsWith('__') || name === 'constructor') continue;
+        const desc = Object.getOwnPropertyDescriptor(o, name);
+        members.set(name, completionEntry(name, 'value' in desc ? desc.value : undefined, true));
+      }
+    }
+    return [...members.values()];
+  }
+
+  // Classic script elements share the global lexical scope, so top-level let/const/function
+  // declarations from a run stay reachable from the REPL afterwards. Errors (including syntax
+  // errors) are reported through the window 'error' listener above.
+  // Module scripts get their own scope instead: their bindings are not visible to the REPL.
+  function runScript(code, url, type) {
+    const script = document.createElement('script');
+    if (type) script.type = type;
+    script.textContent = url ? `${code}\n//# sourceURL=${url}` : code;
+    inUserScript = !!url;
+    try {
+      document.body.appendChild(script);
+    } finally {
+      inUserScript = false;
+    }
+    script.remove();
+  }
+
+  // Code is run as a module when it only parses that way (import/export, top-level await)
+  function isModuleCode(code) {
+    try {
+      new Function(code);
+      return false;
+    } catch (err) {
+      return err instanceof SyntaxError && /\b(import|export|await)\b/.test(code);
+    }
+  }
+
+  // The import map has to be in place before the first module is resolved. Snippet modules are
+  // served from blob URLs that replace their "snippet:" targets.
+  function installImportMap(map, modules) {
+    if (!map) return;
+    const imports = { ...map.imports };
+    for (const [specifier, code] of Object.entries(modules || {})) {
+      imports[specifier] = URL.createObjectURL(new Blob([code], { type: 'text/javascript' }));
+    }
+    const script = document.createElement('script');
+    script.type = 'importmap';
+    script.textContent = JSON.stringify({ ...map, imports });
+    document.head.appendChild(script);
+  }
+
+  // REPL evaluation in global scope. Input using top-level await is retried inside an async
+  // wrapper: first as an expression (so its value is returned), then as a statement list where
+  // simple `let/const/var x =` declarations are turned into global assignments.
+  async function evaluate(code) {
+    stopped = false;
+    if (/^\s*(let|const|class)\s/.test(code) && !/\bawait\b/.test(code)) {
+      runScript(code);
+      return undefined;
+    }
+    // Like devtools, `{ a: 1 }` is read as an object literal rather than a block
+    if (/^\s*\{[\s\S]*\}\s*$/.test(code)) {
+      try { return (0, eval)(`(${code}\n)`); } catch (err) { if (!(err instanceof SyntaxError)) throw err; }
+    }
+    try {
+      return (0, eval)(code);
+    } catch (err) {
+      if (!(err instanceof SyntaxError) || !/\bawait\b/.test(code)) throw err;
+    }
+    try {
+      return await (0, eval)(`(async () => (${code}\n))()`);
+    } catch (err) {
+      if (!(err instanceof SyntaxError)) throw err;
+    }
+    const body = code.replace(/^(\s*)(?:let|const|var)\s+([A-Za-z_$][\w$]*)\s*=/gm, '$1$2 =');
+    return await (0, eval)(`(async () => {${body}\n})()`);
+  }
+
+  // REPL inputs are evaluated one after another so awaited results keep their order
+  let evalQueue = Promise.resolve();
+  window.addEventListener('message', (e) => {
+    const data = e.data;
+    if (!data) return;
+    if (data.__runCode) {
+      installImportMap(data.importMap, data.modules);
+      startRunWatchdog();
+      moduleRun = isModuleCode(data.code);
+      runScript(data.code, USER_CODE_URL, moduleRun ? 'module' : '');
+      if (!moduleRun) send('ran', []); // module scripts run later, their output marks progress
+    } else if (typeof data.__complete === 'string') {
+      send('completions', [], { path: data.__complete, members: completionMembers(data.__complete) });
+    } else if (data.__evalCode) {
+      evalQueue = evalQueue.then(() => evaluate(data.code)).then(
+        (value) => send('result', [preview(value)]),
+        (err) => { if (!err || !err[TIMEOUT]) send('error', [preview('Uncaught'), preview(err)]); }
+      );
+    }
+  });
+}
+
 // Build a sandboxed iframe for each run to ensure a clean environment
 let iframe = null;
+let sandboxLoaded = false;
+const pendingMessages = [];
+// Autocomplete members introspected from the current sandbox, by dotted path (null while pending)
+const sandboxMembers = new Map();
+// The snippet's CSS and HTML become the sandbox page, shown in the Preview pane. The runtime
+// script sits in <head>, so markup in the body (even unclosed tags) cannot swallow it.
+// Inline scripts and on… handler attributes of the HTML tab run in the sandbox page as it parses,
+// so they get the same loop guards as the run's code. A <template> parses the markup without
+// running or loading anything; scripts with a src are left as they are.
+const SCRIPT_TYPE_RE = /^(?:|module|(?:text|application)\/(?:java|ecma)script)$/i;
+function guardMarkup(html) {
+  if (!/<script|\son/i.test(html)) return html;
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  const guard = (root) => {
+    for (const node of root.querySelectorAll('*')) {
+      for (const attr of [...node.attributes]) if (/^on/i.test(attr.name)) attr.value = instrumentLoops(attr.value).code;
+      if (node.localName === 'script' && !node.hasAttribute('src') && SCRIPT_TYPE_RE.test(node.type)) node.textContent = instrumentLoops(node.textContent).code;
+      if (node.localName === 'template') guard(node.content);
+    }
+  };
+  guard(template.content);
+  return template.innerHTML;
+}
 function createSandbox() {
   if (iframe && iframe.parentNode) iframe.parentNode.removeChild(iframe);
   iframe = document.createElement('iframe');
   iframe.setAttribute('sandbox', 'allow-scripts');
-  iframe.style.display = 'none';
+  iframe.title = 'Sandbox preview';
+  sandboxLoaded = false;
+  pendingMessages.length = 0;
+  sandboxMembers.clear();
   // Build the sandbox content via srcdoc to avoid touching contentDocument under strict sandbox
-  const script = `(() => {\n    const send = (type, args) => parent.postMessage({ __fromSandbox: true, type, args }, '*');\n    const wrap = (fn, type) => (...a) => { try { fn.apply(console, a); } catch(_){} send(type, a); };\n    console.log = wrap(console.log, 'log');\n    console.info = wrap(console.info, 'info');\n    console.warn = wrap(console.warn, 'warn');\n    console.error = wrap(console.error, 'error');\n    window.addEventListener('error', (e) => send('error', [String(e.message || e.error)]));\n    window.addEventListener('unhandledrejection', (e) => send('error', [String(e.reason)]));\n    window.addEventListener('message', (e) => {\n      const data = e.data;\n      if (!data || !data.__runCode) return;\n      try {\n        // eslint-disable-next-line no-new-func\n        const f = new Function(data.code);\n        f();\n      } catch (err) {\n        send('error', [String(err && err.stack || err)]);\n      }\n    });\n  })();`;
-  iframe.srcdoc = `<!doctype html><html><head><meta charset="utf-8"></head><body><script>${script}<\/script></body></html>`;
-  document.body.appendChild(iframe);
+  const options = { runId, syncBudgetMs: settings.syncBudgetMs, totalBudgetMs: settings.totalBudgetMs };
+  const script = `(${sandboxMain})(${JSON.stringify(options)});`;
+  const css = cssEditor.value.replace(/<\/(style)/gi, '<\\/$1');
+  iframe.srcdoc = `<!doctype html><html><head><meta charset="utf-8"><style>${css}</style><script>${script}<\/script></head><body>${guardMarkup(htmlEditor.value)}</body></html>`;
+  const frame = iframe;
+  frame.addEventListener('load', () => {
+    if (frame !== iframe) return;
+    sandboxLoaded = true;
+    for (const msg of pendingMessages.splice(0)) frame.contentWindow.postMessage(msg, '*');
+  }, { once: true });
+  previewHost.appendChild(iframe);
+}
+// Post to the current sandbox, queueing until its srcdoc has loaded
+function postToSandbox(msg) {
+  if (!iframe) createSandbox();
+  if (sandboxLoaded) iframe.contentWindow.postMessage(msg, '*');
+  else pendingMessages.push(msg);
+}
+
+// Every output node is also kept as an entry { el, level, type, text, args, time, depth, run }
+// for the toolbar: level filters and counts, the text filter, timestamps and export. `level` is
+// one of CONSOLE_LEVELS, or null for lines that are always shown (notices, groups, separators).
+const CONSOLE_LEVELS = ['log', 'info', 'warn', 'error'];
+const levelOf = (type) => (CONSOLE_LEVELS.includes(type) ? type : type === 'muted' ? null : 'log');
+let consoleEntries = [];
+const levelCounts = { log: 0, info: 0, warn: 0, error: 0 };
+
+// Clear the console output
+function clearConsole() {
+  consoleEl.textContent = '';
+  groupStack.length = 0;
+  consoleEntries = [];
+  for (const level of CONSOLE_LEVELS) levelCounts[level] = 0;
+  renderLevelCounts();
+}
+// Start of a run: the console is cleared, or with "Preserve log" a separator is printed instead
+function beginConsoleRun(id) {
+  if (!preserveLogEl.checked) { clearConsole(); return; }
+  groupStack.length = 0;
+  if (!consoleEntries.length) return;
+  const separator = el('div', 'run-separator', `Run #${id} · ${formatTime(Date.now())}`);
+  appendOutput(separator, { level: null, type: 'separator', text: separator.textContent });
+}
+// Open console.group() sections; output is appended to the innermost one
+const groupStack = [];
+function outputTarget() {
+  return groupStack.length ? groupStack[groupStack.length - 1] : consoleEl;
+}
+function appendOutput(node, entry) {
+  entry = { ...entry, el: node, time: Date.now(), depth: groupStack.length, run: runId };
+  if (entry.type !== 'separator') {
+    const stamp = el('span', 'ts', formatTime(entry.time));
+    (node.tagName === 'DETAILS' ? node.firstElementChild : node).prepend(stamp);
+  }
+  consoleEntries.push(entry);
+  if (entry.level) {
+    levelCounts[entry.level]++;
+    renderLevelCounts();
+  }
+  node.hidden = !entryVisible(entry);
+  outputTarget().appendChild(node);
+  consoleEl.scrollTop = consoleEl.scrollHeight;
+  recordRunOutput(entry);
+}
+// Print a line to the console output; parts are preview nodes from the sandbox
+function printLine(type, ...parts) {
+  const line = document.createElement('div');
+  line.className = `line ${type}`;
+  parts.forEach((part, i) => {
+    if (i) line.append(' ');
+    line.append(renderValue(part, true));
+  });
+  appendOutput(line, { level: levelOf(type), type, text: line.textContent, args: parts });
+  return line;
+}
+// Stack trace shown under console.trace() / failed console.assert() lines
+function appendStack(line, stack) {
+  if (!stack) return;
+  line.append(el('div', 'stack', stack));
+}
+function openGroup(parts, collapsed) {
+  const group = el('details', 'group');
+  group.open = !collapsed;
+  const summary = el('summary', 'line log');
+  parts.forEach((part, i) => {
+    if (i) summary.append(' ');
+    summary.append(renderValue(part, true));
+  });
+  const body = el('div', 'group-body');
+  group.append(summary, body);
+  appendOutput(group, { level: null, type: 'group', text: summary.textContent, args: parts });
+  groupStack.push(body);
+}
+function printTable(table) {
+  const wrap = el('div', 'line log');
+  const tbl = el('table', 'console-table');
+  const head = tbl.createTHead().insertRow();
+  const columns = ['(index)', ...table.columns, ...(table.hasValue ? ['Value'] : [])];
+  for (const col of columns) head.append(el('th', null, col));
+  const body = tbl.createTBody();
+  for (const row of table.rows) {
+    const tr = body.insertRow();
+    tr.append(el('td', 'v-key', row.key));
+    for (const col of table.columns) {
+      const td = el('td');
+      if (col in row.cells) td.append(renderInline(row.cells[col]));
+      tr.append(td);
+    }
+    if (table.hasValue) {
+      const td = el('td');
+      if (row.value) td.append(renderInline(row.value));
+      tr.append(td);
+    }
+  }
+  wrap.append(tbl);
+  if (table.more) wrap.append(el('div', 'v-null', `… ${table.more} more rows`));
+  const text = Array.from(tbl.rows, row => Array.from(row.cells, cell => cell.textContent).join('\t')).join('\n');
+  appendOutput(wrap, { level: 'log', type: 'table', text, args: [table] });
+}
+// Map a position in the code the sandbox ran to the editor: undo the loop guards, then follow the
+// source map of a compiled language
+function toEditorPosition(line, column) {
+  const pos = unmapInstrumented(runSource.code, runSource.inserts, line, column);
+  return runSource.map ? mapToSource(runSource.map, pos.line, pos.column) : pos;
+}
+// Rewrite `user-code.js:line:column` positions in a stack to editor positions
+function remapStack(text) {
+  return text.replace(/user-code\.js:(\d+):(\d+)/g, (m, line, column) => {
+    const pos = toEditorPosition(+line, +column);
+    return `user-code.js:${pos.line}:${pos.column}`;
+  });
+}
+// Structured error from the sandbox: mark the editor line and make the console line jump there
+function attachErrorLocation(line, error) {
+  if (!error || !error.line) return;
+  if (error.line > runSource.code.split('\n').length) return; // not a position in the run's code
+  attachLocation(line, toEditorPosition(error.line, error.column || 1), error.message);
+}
+// Flag an editor position and make the console line jump there
+function attachLocation(line, pos, message) {
+  addErrorMarker(pos.line, pos.column, message);
+  line.classList.add('has-location');
+  line.title = 'Go to line ' + pos.line;
+  line.append(' ', el('span', 'location', `line ${pos.line}:${pos.column}`));
+  line.addEventListener('click', (e) => {
+    if (e.target.closest('summary')) return; // expanding a value tree is not a jump
+    jumpToLocation(pos.line, pos.column);
+  });
+}
+
+// --- Console Toolbar ---
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+function formatTime(ts) {
+  const d = new Date(ts);
+  return `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}.${pad(d.getMilliseconds(), 3)}`;
+}
+function entryVisible(entry) {
+  if (entry.level && !consoleToolbar.querySelector(`[data-level="${entry.level}"]`).classList.contains('active')) return false;
+  const query = consoleFilterEl.value.trim().toLowerCase();
+  return !query || !entry.level || entry.text.toLowerCase().includes(query);
+}
+function applyConsoleFilters() {
+  for (const entry of consoleEntries) entry.el.hidden = !entryVisible(entry);
+}
+function renderLevelCounts() {
+  for (const level of CONSOLE_LEVELS) {
+    consoleToolbar.querySelector(`[data-level="${level}"] .count`).textContent = levelCounts[level] || '';
+  }
+}
+consoleToolbar.addEventListener('click', (e) => {
+  const button = e.target.closest('[data-level]');
+  if (!button) return;
+  const active = button.classList.toggle('active');
+  button.setAttribute('aria-pressed', String(active));
+  applyConsoleFilters();
+});
+consoleFilterEl.addEventListener('input', applyConsoleFilters);
+showTimestampsEl.addEventListener('change', () => consoleEl.classList.toggle('show-time', showTimestampsEl.checked));
+clearConsoleBtn.addEventListener('click', clearConsole);
+
+// Export the shown entries (filters apply) as plain text or as JSON with the preview trees
+function exportConsole(format) {
+  const entries = consoleEntries.filter(entry => entry.el.isConnected && !entry.el.closest('[hidden]'));
+  const stamp = fileStamp();
+  if (format === 'json') {
+    const data = entries.map(({ time, run, level, type, depth, text, args }) => ({ time: new Date(time).toISOString(), run, level, type, depth, text, args }));
+    downloadFile(`console-${stamp}.json`, JSON.stringify(data, null, 2), 'application/json');
+    return;
+  }
+  const lines = entries.map((entry) => {
+    if (entry.type === 'separator') return `--- ${entry.text} ---`;
+    const level = (entry.level || entry.type).toUpperCase().padEnd(5);
+    const text = entry.text.replace(/\n/g, '\n' + ' '.repeat(21 + entry.depth * 2)); // continuation lines align with the text
+    return `[${formatTime(entry.time)}] ${level} ${'  '.repeat(entry.depth)}${text}`;
+  });
+  downloadFile(`console-${stamp}.txt`, lines.join('\n') + '\n', 'text/plain');
+}
+consoleExportTextBtn.addEventListener('click', () => exportConsole('text'));
+consoleExportJsonBtn.addEventListener('click', () => exportConsole('json'));
+
+// --- Line Diff ---
+// Line diff of two texts via longest common subsequence: [{ op: ' ' | '-' | '+', text }] turning
+// `before` into `after`. Common leading/trailing lines are matched first; for very large inputs
+// the middle falls back to all removals followed by all additions.
+const DIFF_MAX_CELLS = 4e6;
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+  const out = a.slice(0, head).map(text => ({ op: ' ', text }));
+  const x = a.slice(head, a.length - tail);
+  const y = b.slice(head, b.length - tail);
+  if (x.length * y.length > DIFF_MAX_CELLS) {
+    out.push(...x.map(text => ({ op: '-', text })), ...y.map(text => ({ op: '+', text })));
+  } else {
+    // lengths[i][j]: LCS length of x[i..] and y[j..]
+    const lengths = Array.from({ length: x.length + 1 }, () => new Uint32Array(y.length + 1));
+    for (let i = x.length - 1; i >= 0; i--) {
+      for (let j = y.length - 1; j >= 0; j--) {
+        lengths[i][j] = x[i] === y[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+    let i = 0, j = 0;
+    while (i < x.length || j < y.length) {
+      if (i < x.length && j < y.length && x[i] === y[j]) { out.push({ op: ' ', text: x[i] }); i++; j++; }
+      else if (i < x.length && (j === y.length || lengths[i + 1][j] >= lengths[i][j + 1])) out.push({ op: '-', text: x[i++] });
+      else out.push({ op: '+', text: y[j++] });
+    }
+  }
+  out.push(...a.slice(a.length - tail).map(text => ({ op: ' ', text })));
+  return out;
+}
+// With `context`, unchanged lines further than that from any change are collapsed into one line
+function renderDiff(lines, className, context = Infinity) {
+  const box = el('div', className);
+  const distance = lines.map(() => 0); // to the nearest changed line
+  if (context !== Infinity) {
+    for (let i = 0, last = -Infinity; i < lines.length; i++) {
+      if (lines[i].op !== ' ') last = i;
+      distance[i] = i - last;
+    }
+    for (let i = lines.length - 1, next = Infinity; i >= 0; i--) {
+      if (lines[i].op !== ' ') next = i;
+      distance[i] = Math.min(distance[i], next - i);
+    }
+  }
+  let skipped = 0;
+  const flush = () => {
+    if (skipped) box.append(el('div', 'diff-skip', `… ${skipped} unchanged line${skipped === 1 ? '' : 's'}`));
+    skipped = 0;
+  };
+  lines.forEach(({ op, text }, i) => {
+    if (distance[i] > context) { skipped++; return; }
+    flush();
+    box.append(el('div', op === '-' ? 'diff-del' : op === '+' ? 'diff-add' : 'diff-same', `${op} ${text}`));
+  });
+  flush();
+  return box;
+}
+
+// --- Test Results ---
+// The Tests tab lists the describe/it results of the current run. It is rebuilt on every run;
+// a summary line is also printed to the console when the tests finish.
+const testCounts = { passed: 0, failed: 0 };
+function resetTests() {
+  testCounts.passed = testCounts.failed = 0;
+  testListEl.textContent = '';
+  testsSummaryEl.className = 'tests-summary';
+  testsSummaryEl.textContent = 'No tests in this run. Use describe(), it() and expect() in your code.';
+  renderTestsBadge();
+}
+function renderTestsBadge() {
+  const total = testCounts.passed + testCounts.failed;
+  testsBadgeEl.textContent = total ? `${testCounts.passed}/${total}` : '';
+  testsBadgeEl.className = `tests-badge${total ? (testCounts.failed ? ' fail' : ' pass') : ''}`;
+}
+function handleTestMessage(data) {
+  if (data.type === 'testsDone') {
+    const { passed, failed, duration } = data.summary;
+    testsSummaryEl.className = `tests-summary ${failed ? 'fail' : 'pass'}`;
+    testsSummaryEl.textContent = `${failed ? `✗ ${failed} failed · ` : ''}✓ ${passed} passed · ${passed + failed} total · ${Math.round(duration)} ms`;
+    const line = printLine(failed ? 'error' : 'info', { t: 'string', v: `Tests: ${passed} passed, ${failed} failed` });
+    line.classList.add('has-location');
+    line.title = 'Show test results';
+    line.addEventListener('click', () => selectTab(testsTab));
+    return;
+  }
+  const test = data.test;
+  testCounts[test.passed ? 'passed' : 'failed']++;
+  testsSummaryEl.className = 'tests-summary';
+  testsSummaryEl.textContent = `Running… ${testCounts.passed + testCounts.failed} done`;
+  const item = el('li', `test ${test.passed ? 'pass' : 'fail'}`);
+  item.append(el('span', 'test-icon', test.passed ? '✓' : '✗'), el('span', 'test-name', [...test.path, test.name].join(' › ')), el('span', 'test-time', `${Math.round(test.duration)} ms`));
+  if (test.error) {
+    const message = el('div', 'test-error', test.error.message);
+    item.append(message);
+    attachErrorLocation(message, test.error);
+    const diff = test.error.diff;
+    if (diff && diff.expected !== diff.actual) {
+      const box = renderDiff(diffLines(diff.expected, diff.actual), 'test-diff');
+      box.prepend(el('div', 'diff-legend', '- Expected  + Received'));
+      item.append(box);
+    }
+  }
+  testListEl.append(item);
+  renderTestsBadge();
+}
+
+// --- Run History ---
+// Each run records its inputs and a plain-text snapshot of its console output, so the History
+// tab can restore an earlier version or diff the code and output of two runs. Histories are kept
+// per snippet for the session. A run's duration is measured from handing the code to the sandbox
+// to the last message the sandbox sent for it; REPL input ends the recording of the run.
+const RUN_HISTORY_LIMIT = 50;
+const RUN_OUTPUT_LIMIT = 2000; // output lines kept per run
+const HISTORY_DIFF_CONTEXT = 3; // unchanged lines shown around each change
+const HISTORY_DIFF_THROTTLE_MS = 1000; // between re-diffs while a compared run is still printing
+const RUN_OUTPUT_SKIP = new Set(['muted', 'separator', 'input', 'result']);
+const HISTORY_FIELD_LABELS = { importMap: 'Import Map', html: 'HTML', css: 'CSS', lang: 'Language' };
+const runHistories = new Map(); // snippet id -> records, oldest first
+const historySelection = new Set(); // run ids checked for comparison
+let runRecord = null; // record that output of the current run goes to
+let historyRenderPending = false;
+let historyDiffIds = null; // runs the shown diff compares
+let historyDiffKey = null; // and the output they had then
+let historyDiffTimer = 0;
+
+function snippetRunHistory() {
+  const id = activeSnippet ? activeSnippet.id : '';
+  if (!runHistories.has(id)) runHistories.set(id, []);
+  return runHistories.get(id);
+}
+function beginRunRecord(id) {
+  const history = snippetRunHistory();
+  runRecord = { id, time: Date.now(), fields: editorFields(), output: [], dropped: 0, errors: 0, start: null, duration: null };
+  history.push(runRecord);
+  if (history.length > RUN_HISTORY_LIMIT) historySelection.delete(history.shift().id);
+  scheduleHistoryRender();
+}
+// The code was handed to the sandbox
+function markRunStarted() {
+  if (!runRecord) return;
+  runRecord.start = performance.now();
+  runRecord.duration = 0;
+  scheduleHistoryRender();
+}
+function noteRunActivity() {
+  if (!runRecord || runRecord.start === null) return;
+  runRecord.duration = performance.now() - runRecord.start;
+  scheduleHistoryRender();
+}
+function recordRunOutput(entry) {
+  if (!runRecord || entry.run !== runRecord.id || RUN_OUTPUT_SKIP.has(entry.type)) return;
+  if (runRecord.output.length < RUN_OUTPUT_LIMIT) {
+    const level = entry.level && entry.level !== 'log' ? `[${entry.level}] ` : '';
+    runRecord.output.push('  '.repeat(entry.depth) + level + entry.text);
+  } else {
+    runRecord.dropped++;
+  }
+  if (entry.level === 'error') runRecord.errors++;
+  scheduleHistoryRender();
+}
+const runOutputText = (record) => record.output.join('\n') + (record.dropped ? `\n… ${record.dropped} more lines` : '');
+
+// Rendering is batched per frame and skipped while the tab is hidden (selecting it renders)
+function scheduleHistoryRender() {
+  if (historyRenderPending || historyEl.hidden) return;
+  historyRenderPending = true;
+  requestAnimationFrame(() => { historyRenderPending = false; renderHistory(); });
+}
+function renderHistory() {
+  const history = snippetRunHistory();
+  for (const id of historySelection) if (!history.some(record => record.id === id)) historySelection.delete(id);
+  historyListEl.textContent = '';
+  if (!history.length) historyListEl.append(el('li', 'history-empty', 'No runs of this snippet yet.'));
+  for (const record of [...history].reverse()) {
+    const item = el('li', `history-run${historySelection.has(record.id) ? ' selected' : ''}`);
+    const check = el('input');
+    check.type = 'checkbox';
+    check.checked = historySelection.has(record.id);
+    check.dataset.id = record.id;
+    const label = el('label', 'history-label');
+    label.title = 'Compare this run';
+    label.append(check, ` Run #${record.id}`);
+    const duration = record.duration === null ? 'not run' : `${Math.round(record.duration)} ms`;
+    const errors = record.errors ? `✗ ${record.errors} error${record.errors === 1 ? '' : 's'}` : '✓';
+    const restore = el('button', 'btn ghost small', 'Restore');
+    restore.dataset.restore = record.id;
+    restore.title = 'Load the code of this run into the editor';
+    item.append(label, el('span', 'history-time', formatTime(record.time)), el('span', 'history-duration', duration),
+      el('span', `history-errors${record.errors ? ' fail' : ''}`, errors), restore);
+    historyListEl.append(item);
+  }
+  renderHistoryDiff(history);
+}
+// The two checked runs; one checked run and the run before it; or the last two runs
+function comparedRuns(history) {
+  const checked = history.filter(record => historySelection.has(record.id));
+  if (checked.length === 2) return checked;
+  const newer = checked[0] || history[history.length - 1];
+  const index = history.indexOf(newer);
+  return index > 0 ? [history[index - 1], newer] : null;
+}
+// The list is cheap to rebuild on every frame, a diff of two long outputs is not: another pair is
+// diffed at once, new output of the compared runs at most once per HISTORY_DIFF_THROTTLE_MS
+function renderHistoryDiff(history, throttled = false) {
+  const pair = comparedRuns(history);
+  const ids = pair ? pair.map(record => record.id).join('/') : '';
+  const key = pair ? pair.map(record => `${record.output.length}:${record.dropped}`).join('/') : '';
+  if (ids === historyDiffIds && key === historyDiffKey) return;
+  if (ids === historyDiffIds && !throttled) {
+    historyDiffTimer = historyDiffTimer || setTimeout(() => {
+      historyDiffTimer = 0;
+      if (!historyEl.hidden) renderHistoryDiff(snippetRunHistory(), true);
+    }, HISTORY_DIFF_THROTTLE_MS);
+    return;
+  }
+  clearTimeout(historyDiffTimer);
+  historyDiffTimer = 0;
+  historyDiffIds = ids;
+  historyDiffKey = key;
+  historyDiffEl.textContent = '';
+  if (!pair) {
+    if (history.length) historyDiffEl.append(el('div', 'history-hint', 'There is no earlier run to compare with.'));
+    return;
+  }
+  const [before, after] = pair;
+  historyDiffEl.append(el('div', 'history-diff-title', `Run #${before.id} → Run #${after.id}`));
+  const changed = Object.keys(HISTORY_FIELD_LABELS).filter(field => before.fields[field] !== after.fields[field]);
+  if (changed.length) historyDiffEl.append(el('div', 'history-hint', `Also changed: ${changed.map(field => HISTORY_FIELD_LABELS[field]).join(', ')}`));
+  appendHistoryDiff('Code', before.fields.code, after.fields.code);
+  appendHistoryDiff('Output', runOutputText(before), runOutputText(after));
+}
+function appendHistoryDiff(title, before, after) {
+  const lines = diffLines(before, after);
+  const added = lines.filter(line => line.op === '+').length;
+  const removed = lines.filter(line => line.op === '-').length;
+  const summary = added || removed ? `+${added} −${removed}` : 'no changes';
+  historyDiffEl.append(el('div', 'history-diff-heading', `${title} · ${summary}`), renderDiff(lines, 'run-diff', HISTORY_DIFF_CONTEXT));
+}
+
+// Put the inputs of a run back into the editors, as one undo step
+function restoreRun(record) {
+  const current = editorFields();
+  if (Object.keys(SNIPPET_EDITORS).every(field => current[field] === record.fields[field])) return;
+  if (!confirm(`Replace the editor contents with the code of run #${record.id}?`)) return;
+  recordEdit(null, true);
+  for (const [field, input] of Object.entries(SNIPPET_EDITORS)) input.value = record.fields[field];
+  editor.selectionStart = editor.selectionEnd = 0;
+  applyLanguage();
+  if (htmlEditor.value.trim() || cssEditor.value.trim()) showPreview(true);
+  editorChanged();
+}
+historyListEl.addEventListener('change', (e) => {
+  const id = Number(e.target.dataset.id);
+  if (e.target.checked) {
+    historySelection.add(id);
+    // Keep the two most recently checked runs
+    if (historySelection.size > 2) historySelection.delete(historySelection.values().next().value);
+  } else {
+    historySelection.delete(id);
+  }
+  renderHistory();
+});
+historyListEl.addEventListener('click', (e) => {
+  const button = e.target.closest('[data-restore]');
+  if (!button) return;
+  const record = snippetRunHistory().find(r => r.id === Number(button.dataset.restore));
+  if (record) restoreRun(record);
+});
+historyTab.addEventListener('click', () => {
+  historyDiffIds = null; // output may have arrived while the tab was hidden
+  renderHistory();
+});
+
+// Dispatch one message from the sandbox to the matching console renderer
+function handleConsoleMessage(data) {
+  const args = (data.args || []).map(a => (a && a.t === 'error' && a.stack ? { ...a, stack: remapStack(a.stack) } : a));
+  if (data.stack) data = { ...data, stack: remapStack(data.stack) };
+  switch (data.type) {
+    case 'clear':
+      if (preserveLogEl.checked) {
+        printLine('muted', { t: 'string', v: 'console.clear() was ignored because "Preserve log" is on' });
+        break;
+      }
+      clearConsole();
+      printLine('muted', { t: 'string', v: 'Console was cleared' });
+      break;
+    case 'group':
+    case 'groupCollapsed':
+      openGroup(args, data.type === 'groupCollapsed');
+      break;
+    case 'groupEnd':
+      groupStack.pop();
+      break;
+    case 'table':
+      printTable(args[0]);
+      break;
+    case 'dir': {
+      const line = printLine('log', ...args);
+      const tree = line.querySelector('details.tree');
+      if (tree) tree.open = true;
+      break;
+    }
+    case 'trace':
+      appendStack(printLine('log', ...args), data.stack);
+      break;
+    default: {
+      const line = printLine(data.type || 'log', ...args);
+      appendStack(line, data.stack);
+      attachErrorLocation(line, data.error);
+    }
+  }
+}
+
+// --- Object Inspector ---
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+}
+const PREVIEW_ENTRIES = 5; // entries shown in a collapsed one-line preview
+
+function functionLabel(node) {
+  if (node.kind === 'class') return `class ${node.name || '(anonymous)'}`;
+  return `${node.kind === 'async' ? 'async ' : ''}ƒ ${node.name}(${node.params})`;
+}
+
+// Render a single preview node; top-level strings are printed raw like the browser console does
+function renderValue(node, top = false) {
+  if (!node || typeof node !== 'object') return document.createTextNode(String(node));
+  switch (node.t) {
+    case 'string': return top ? document.createTextNode(node.v) : el('span', 'v-str', `'${node.v}'`);
+    case 'number': return el('span', 'v-num', node.v);
+    case 'bigint': return el('span', 'v-num', node.v);
+    case 'boolean': return el('span', 'v-bool', node.v);
+    case 'null': return el('span', 'v-null', 'null');
+    case 'undefined': return el('span', 'v-null', 'undefined');
+    case 'symbol': return el('span', 'v-sym', node.v);
+    case 'function': return el('span', 'v-fn', functionLabel(node));
+    case 'date': return el('span', 'v-date', node.v);
+    case 'regexp': return el('span', 'v-sym', node.v);
+    case 'node': return el('span', 'v-node', node.v);
+    case 'accessor': return el('span', 'v-null', '(...)');
+    case 'circular': return el('span', 'v-null', `[Circular ${node.cls}]`);
+    case 'error': return top ? el('span', 'v-error', node.stack || node.v) : el('span', 'v-error', node.v);
+    default: return renderTree(node);
+  }
+}
+
+// One-line summary of a container, e.g. `(3) [1, 2, 3]` or `Map(1) {'a' => 1}`
+function renderPreview(node, nested = false) {
+  const frag = document.createDocumentFragment();
+  const isArray = node.t === 'array';
+  const sized = node.t === 'map' || node.t === 'set';
+  let prefix = '';
+  if (isArray) prefix = node.cls === 'Array' ? `(${node.size}) ` : `${node.cls}(${node.size}) `;
+  else if (sized) prefix = `${node.cls}(${node.size}) `;
+  else if (node.cls !== 'Object') prefix = `${node.cls} `;
+  if (nested) {
+    // Nested containers collapse to their type only
+    frag.append(isArray ? (node.cls === 'Array' ? `Array(${node.size})` : prefix.trim()) : sized ? prefix.trim() : `${prefix}{…}`);
+    return frag;
+  }
+  frag.append(prefix + (isArray ? '[' : '{'));
+  if (node.truncated) {
+    frag.append('…');
+  } else {
+    node.entries.slice(0, PREVIEW_ENTRIES).forEach(([key, value], i) => {
+      if (i) frag.append(', ');
+      if (node.t === 'map') frag.append(renderInline(key), ' => ');
+      else if (key != null && !(isArray && /^\d+$/.test(key))) frag.append(el('span', 'v-key', key), ': ');
+      frag.append(renderInline(value));
+    });
+    if (node.entries.length > PREVIEW_ENTRIES || node.more) frag.append(', …');
+  }
+  frag.append(isArray ? ']' : '}');
+  return frag;
+}
+function renderInline(node) {
+  return node && ['object', 'array', 'map', 'set'].includes(node.t) ? renderPreview(node, true) : renderValue(node);
+}
+
+// Expandable devtools-style tree; children are only built when first opened
+function renderTree(node) {
+  if (node.truncated || !node.entries.length) {
+    const span = el('span', 'v-obj');
+    span.append(renderPreview(node));
+    return span;
+  }
+  const details = el('details', 'tree');
+  const summary = el('summary');
+  summary.append(renderPreview(node));
+  details.append(summary);
+  details.addEventListener('toggle', () => {
+    if (!details.open || details.dataset.built) return;
+    details.dataset.built = '1';
+    const body = el('div', 'tree-body');
+    node.entries.forEach(([key, value], i) => {
+      const row = el('div', 'tree-row');
+      if (node.t === 'map') row.append(renderInline(key), ' => ', renderValue(value));
+      else row.append(el('span', 'v-key', node.t === 'set' ? String(i) : key), ': ', renderValue(value));
+      body.append(row);
+    });
+    if (node.more) body.append(el('div', 'tree-row v-null', `… ${node.more} more`));
+    details.append(body);
+  });
+  return details;
+}
+
+// Listen for messages from the sandboxed iframe
+window.addEventListener('message', (e) => {
+  const data = e.data;
+  if (!data || !data.__fromSandbox) return;
+  // Drop output from sandboxes of cancelled or superseded runs
+  if (!iframe || e.source !== iframe.contentWindow || data.runId !== runId) return;
+  if (data.type !== 'completions' && data.type !== 'result') noteRunActivity();
+  if (data.type === 'test' || data.type === 'testsDone') handleTestMessage(data);
+  else if (data.type === 'completions') handleCompletionMessage(data);
+  else if (data.type !== 'ran') handleConsoleMessage(data);
+});
+
+// --- Code Scanning ---
+// Single-pass JavaScript lexer that works one line at a time. The state carried across line
+// boundaries is plain data (open block comment, template literal nesting, brace depth, open
+// `(` that head an if/while/for/with, whether a `/` would start a regex), so the highlighter
+// can cache it per line and re-lex only what changed.
+// Token types: name, number, string, template (literal text), interp (`${` / `}`), regex,
+// comment, punct, and with `jsx` set, tag (`<div`, `</div>`, `<>`). Whitespace is skipped.
+const REGEX_AFTER_WORDS = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await']);
+const NAME_RE = /[A-Za-z_$\u0080-\uffff][\w$\u0080-\uffff]*/y;
+const NUMBER_RE = /(?:0[xXbBoO][\da-fA-F_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)n?/y;
+const JSX_TAG_RE = /<\/?(?:[A-Za-z][\w.:-]*>?|>)/y;
+const PUNCT_RE = />>>=|\.\.\.|===|!==|\*\*=|<<=|>>=|>>>|&&=|\|\|=|\?\?=|=>|==|!=|<=|>=|&&|\|\||\?\?|\?\.|\+\+|--|[-+*/%&|^]=|\*\*|<<|>>|[{}()[\];,<>+\-*/%&|^!~?:=.@#]/y;
+// `stack` holds 't' while inside template text and, for each open `${`, the brace depth that closes it
+const LEX_START = { comment: false, stack: [], depth: 0, parens: [], regexOk: true };
+const lexStateKey = (state) => `${+state.comment}|${state.stack.join(',')}|${state.depth}|${state.parens.map(Number).join('')}|${+state.regexOk}`;
+
+function lexLine(line, state, jsx = false) {
+  let { comment, depth, regexOk } = state;
+  const stack = state.stack.slice();
+  const tokens = [];
+  let lastValue = '';
+  const parens = state.parens.slice(); // per open `(`: does it open an if/while/for/with head?
+  let i = 0;
+  const push = (type, start, end) => {
+    const value = line.slice(start, end);
+    tokens.push({ type, start, end, value });
+    if (type === 'comment') return;
+    if (value === '(' && type === 'punct') parens.push(/^(?:if|while|for|with)$/.test(lastValue));
+    // A `/` right after `if (...)` starts a regex; after any other `)` it divides
+    if (type === 'punct') regexOk = value === ')' ? parens.pop() === true : !/^(?:\]|\+\+|--)$/.test(value);
+    else if (type === 'name') regexOk = lastValue !== '.' && lastValue !== '?.' && REGEX_AFTER_WORDS.has(value);
+    else regexOk = type === 'interp';
+    lastValue = value;
+  };
+  // Template text from `start` up to the closing backtick, the next `${`, or the end of the line
+  const scanTemplate = (start) => {
+    while (i < line.length) {
+      const c = line[i];
+      if (c === '\\') { i += 2; continue; }
+      if (c === '`') {
+        i++;
+        push('template', start, i);
+        stack.pop();
+        return;
+      }
+      if (c === '$' && line[i + 1] === '{') {
+        if (i > start) push('template', start, i);
+        push('interp', i, i + 2);
+        i += 2;
+        stack.push(++depth);
+        return;
+      }
+      i++;
+    }
+    i = line.length;
+    if (i > start) push('template', start, i);
+  };
+  const match = (re) => { re.lastIndex = i; return re.exec(line); };
+
+  while (i < line.length) {
+    if (comment) {
+      const end = line.indexOf('*/', i);
+      const stop = end === -1 ? line.length : end + 2;
+      push('comment', i, stop);
+      i = stop;
+      comment = end === -1;
+      continue;
+    }
+    if (stack[stack.length - 1] === 't') { scanTemplate(i); continue; }
+    const c = line[i];
+    if (/\s/.test(c)) { i++; continue; }
+    if (c === '/' && line[i + 1] === '/') { push('comment', i, line.length); i = line.length; continue; }
+    if (c === '/' && line[i + 1] === '*') {
+      const end = line.indexOf('*/', i + 2);
+      const stop = end === -1 ? line.length : end + 2;
+      push('comment', i, stop);
+      i = stop;
+      comment = end === -1;
+      continue;
+    }
+    if (c === '"' || c === "'") {
+      let j = i + 1;
+      while (j < line.length && line[j] !== c) j += line[j] === '\\' ? 2 : 1;
+      j = Math.min(j + 1, line.length);
+      push('string', i, j);
+      i = j;
+      continue;
+    }
+    if (c === '`') {
+      stack.push('t');
+      i++;
+      scanTemplate(i - 1);
+      continue;
+    }
+    if (c === '}' && stack[stack.length - 1] === depth) {
+      push('interp', i, i + 1);
+      i++;
+      stack.pop();
+      depth--;
+      continue;
+    }
+    // JSX tags open where an expression may start; closing tags are recognized anywhere, since
+    // the text children before them are lexed as ordinary names
+    if (jsx && c === '<' && (regexOk || line[i + 1] === '/')) {
+      const m = match(JSX_TAG_RE);
+      if (m) { push('tag', i, i + m[0].length); i += m[0].length; continue; }
+    }
+    if (c === '/' && regexOk) {
+      // Regex literal; without a closing slash on this line it was a division after all
+      let j = i + 1;
+      let inClass = false;
+      while (j < line.length) {
+        const d = line[j];
+        if (d === '\\') { j += 2; continue; }
+        if (d === '[') inClass = true;
+        else if (d === ']') inClass = false;
+        else if (d === '/' && !inClass) break;
+        j++;
+      }
+      if (j < line.length) {
+        j++;
+        while (j < line.length && /[a-z]/i.test(line[j])) j++;
+        push('regex', i, j);
+        i = j;
+        continue;
+      }
+    }
+    let m;
+    if ((m = match(NAME_RE))) { push('name', i, i + m[0].length); i += m[0].length; continue; }
+    if (/[\d.]/.test(c) && (m = match(NUMBER_RE))) { push('number', i, i + m[0].length); i += m[0].length; continue; }
+    if ((m = match(PUNCT_RE))) {
+      if (m[0] === '{') depth++;
+      else if (m[0] === '}') depth--;
+      push('punct', i, i + m[0].length);
+      i += m[0].length;
+      continue;
+    }
+    push('punct', i, i + 1);
+    i++;
+  }
+  // Brace depth only matters relative to open `${`; normalizing it lets unrelated lines share cache keys
+  if (!stack.some(f => f !== 't')) depth = 0;
+  return { tokens, state: { comment, stack, depth, parens, regexOk } };
+}
+
+// Tokenize a whole buffer; offsets are relative to `code`. Multi-line comments and template
+// literals come out as one token per line.
+function tokenize(code, jsx = false) {
+  const tokens = [];
+  let state = LEX_START;
+  let offset = 0;
+  for (const line of code.split('\n')) {
+    const res = lexLine(line, state, jsx);
+    for (const t of res.tokens) tokens.push({ ...t, start: t.start + offset, end: t.end + offset });
+    state = res.state;
+    offset += line.length + 1;
+  }
+  return tokens;
+}
+
+// --- Loop Protection ---
+// Rewrite for/while/do-while loops so every iteration calls the sandbox's __loopGuard(), which
+// throws once the synchronous time budget is exhausted. Insertions never add line breaks, so
+// line numbers in stack traces stay valid; the returned inserts let columns be mapped back.
+// Loops that cannot be matched (e.g. unbalanced while typing) are left alone; the code will fail
+// to parse anyway.
+const LOOP_GUARD = '__loopGuard()';
+function instrumentLoops(code) {
+  const tokens = tokenize(code).filter(t => t.type !== 'comment');
+  const inserts = []; // [offset, text]
+  const wrap = (from, to) => { inserts.push([from, `${LOOP_GUARD} && (`], [to, ')']); };
+  const matchParen = (k) => {
+    for (let d = 0; k < tokens.length; k++) {
+      const v = tokens[k].type === 'punct' ? tokens[k].value : '';
+      if (v === '(' || v === '[' || v === '{') d++;
+      else if (v === ')' || v === ']' || v === '}') { if (--d === 0) return k; }
+    }
+    return -1;
+  };
+  // Does a statement that has no `;` end between tokens j and j + 1 (automatic semicolon insertion)?
+  const endsLine = (j) => {
+    const a = tokens[j], b = tokens[j + 1];
+    if (!b || !code.slice(a.end, b.start).includes('\n')) return false;
+    const ends = a.type !== 'punct' || /^(?:\)|\]|\}|\+\+|--)$/.test(a.value);
+    const starts = (b.type !== 'punct' && b.type !== 'template') || /^(?:\{|\+\+|--|!|~)$/.test(b.value);
+    return ends && starts;
+  };
+  // Index of the last token of the statement that starts at token k, or -1
+  const statementEnd = (k) => {
+    const t = tokens[k];
+    if (!t) return -1;
+    if (t.type === 'punct' && t.value === '{') return matchParen(k);
+    if (t.type === 'name' && /^(?:if|for|while|with)$/.test(t.value)) {
+      let open = k + 1;
+      if (tokens[open] && tokens[open].value === 'await') open++;
+      const close = tokens[open] && tokens[open].value === '(' ? matchParen(open) : -1;
+      const end = close === -1 ? -1 : statementEnd(close + 1);
+      if (t.value === 'if' && end !== -1 && tokens[end + 1] && tokens[end + 1].value === 'else') return statementEnd(end + 2);
+      return end;
+    }
+    if (t.type === 'name' && t.value === 'do') {
+      const end = statementEnd(k + 1);
+      const close = end !== -1 && tokens[end + 1] && tokens[end + 1].value === 'while' ? matchParen(end + 2) : -1;
+      return close !== -1 && tokens[close + 1] && tokens[close + 1].value === ';' ? close + 1 : close;
+    }
+    if (t.type === 'name' && tokens[k + 1] && tokens[k + 1].value === ':') return statementEnd(k + 2); // label
+    for (let j = k, d = 0; j < tokens.length; j++) {
+      const v = tokens[j].type === 'punct' ? tokens[j].value : '';
+      if (v === '(' || v === '[' || v === '{') d++;
+      else if (v === ')' || v === ']' || v === '}') { if (d-- === 0) return j - 1; }
+      else if (v === ';' && d === 0) return j;
+      if (d === 0 && endsLine(j)) return j;
+    }
+    return tokens.length - 1;
+  };
+  // Kind of each open bracket: loops are statements, so a loop keyword directly inside a class
+  // body, an object literal or parentheses is a method name or property key instead
+  const brackets = []; // 'block' | 'class' | 'object' | 'paren'
+  let classAt = -1; // bracket depth of a class header waiting for its body
+  const braceKind = (prev) => {
+    if (classAt === brackets.length) { classAt = -1; return 'class'; }
+    if (!prev) return 'block';
+    if (prev.type === 'interp') return 'object';
+    if (prev.type === 'name') return REGEX_AFTER_WORDS.has(prev.value) && prev.value !== 'do' && prev.value !== 'else' ? 'object' : 'block';
+    if (prev.value === ':') return brackets[brackets.length - 1] === 'object' ? 'object' : 'block';
+    return /^(?:\)|\]|\}|;|\{|=>|\+\+|--)$/.test(prev.value) ? 'block' : 'object';
+  };
+  for (let k = 0; k < tokens.length; k++) {
+    const t = tokens[k];
+    const prev = tokens[k - 1];
+    if (t.type === 'punct' || t.type === 'interp') {
+      if (t.value === '{') brackets.push(braceKind(prev));
+      else if (t.value === '(' || t.value === '[' || t.value === '${') brackets.push('paren');
+      else if (t.value === ')' || t.value === ']' || t.value === '}') brackets.pop();
+      continue;
+    }
+    if (t.type === 'name' && t.value === 'class' && !(prev && (prev.value === '.' || prev.value === '?.'))) classAt = brackets.length;
+    if (t.type !== 'name' || (t.value !== 'for' && t.value !== 'while')) continue;
+    if (brackets.length && brackets[brackets.length - 1] !== 'block') continue;
+    if (prev && prev.type === 'punct' && (prev.value === '.' || prev.value === '?.')) continue; // obj.while(...)
+    let open = k + 1;
+    if (t.value === 'for' && tokens[open] && tokens[open].value === 'await') open++;
+    if (!tokens[open] || tokens[open].value !== '(') continue;
+    const close = matchParen(open);
+    if (close === -1) continue;
+    if (t.value === 'while') { // also covers the tail of do { } while (...)
+      wrap(tokens[open].end, tokens[close].start);
+      continue;
+    }
+    // for (init; test; update): guard the test. for-in/of: guard the block body if there is one.
+    const semis = [];
+    for (let j = open + 1, d = 0; j < close; j++) {
+      const v = tokens[j].type === 'punct' ? tokens[j].value : '';
+      if (v === '(' || v === '[' || v === '{') d++;
+      else if (v === ')' || v === ']' || v === '}') d--;
+      else if (v === ';' && d === 0) semis.push(tokens[j]);
+    }
+    if (semis.length === 2) {
+      const from = semis[0].end, to = semis[1].start;
+      if (code.slice(from, to).trim()) wrap(from, to);
+      else inserts.push([from, ` ${LOOP_GUARD}`]);
+    } else if (tokens[close + 1] && tokens[close + 1].value === '{') {
+      inserts.push([tokens[close + 1].end, ` ${LOOP_GUARD};`]);
+    } else {
+      // A body without braces gets them, so the guard runs on every iteration
+      const end = statementEnd(close + 1);
+      if (end !== -1) inserts.push([tokens[close + 1].start, `{ ${LOOP_GUARD}; `], [tokens[end].end, ' }']);
+    }
+  }
+  inserts.sort((a, b) => a[0] - b[0]);
+  let out = '';
+  let pos = 0;
+  for (const [offset, text] of inserts) {
+    out += code.slice(pos, offset) + text;
+    pos = offset;
+  }
+  return { code: out + code.slice(pos), inserts };
+}
+
+// Map a 1-based line/column in instrumented code back to the source it was made from.
+// Positions inside inserted guard text map to the insertion point.
+function unmapInstrumented(source, inserts, line, column) {
+  const lines = source.split('\n');
+  const toPosition = (offset) => {
+    const before = source.slice(0, offset);
+    return { line: before.split('\n').length, column: offset - before.lastIndexOf('\n') };
+  };
+  let lineStart = 0;
+  for (let l = 0; l < Math.min(line, lines.length) - 1; l++) lineStart += lines[l].length + 1;
+  // Guards never contain newlines: the line starts after all guard text inserted on earlier lines
+  let target = lineStart + column - 1;
+  for (const [pos, text] of inserts) if (pos < lineStart) target += text.length;
+  let consumed = 0;
+  for (const [pos, text] of inserts) {
+    const at = pos + consumed;
+    if (target < at) break;
+    if (target < at + text.length) return toPosition(pos);
+    consumed += text.length;
+  }
+  return toPosition(Math.min(target - consumed, source.length));
+}
+
+// --- Languages ---
+// TypeScript and JSX snippets are transpiled in the page before they are sent to the sandbox. The
+// TypeScript compiler is loaded from a CDN the first time it is needed. It runs with the page's
+// privileges, so the version is pinned and checked against a Subresource Integrity hash; update
+// both together. JSX is compiled as TSX with the classic runtime (`React.createElement`, or the
+// factory named by a `/** @jsx h */` pragma).
+const LANGUAGES = {
+  js: { label: 'JavaScript', ext: '.js', mime: 'text/javascript' },
+  ts: { label: 'TypeScript', ext: '.ts', mime: 'text/typescript', fileName: 'user-code.ts' },
+  jsx: { label: 'JSX', ext: '.tsx', mime: 'text/tsx', fileName: 'user-code.tsx' },
+};
+const TYPESCRIPT_URL = 'https://cdn.jsdelivr.net/npm/typescript@5.9.3/lib/typescript.js';
+const TYPESCRIPT_INTEGRITY = 'sha384-Yg0BGB+SQCw1lz4F661kuVHS51P4j4dWPI8RCyS0Q2QEsFz+7dpr8bpy8trhXITY';
+let typescriptPromise = null;
+function loadTypeScript() {
+  if (window.ts) return Promise.resolve(window.ts);
+  if (!typescriptPromise) {
+    typescriptPromise = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = TYPESCRIPT_URL;
+      script.integrity = TYPESCRIPT_INTEGRITY;
+      script.crossOrigin = 'anonymous';
+      script.onload = () => (window.ts ? resolve(window.ts) : reject(new Error('the compiler did not initialize')));
+      script.onerror = () => reject(new Error(`could not load ${TYPESCRIPT_URL}`));
+      document.head.append(script);
+    }).catch((err) => { typescriptPromise = null; throw err; }); // allow a retry on the next run
+  }
+  return typescriptPromise;
+}
+
+// Returns { code, map, diagnostics }: the JavaScript to run, decoded source map mappings (null
+// for plain JavaScript) and transpile diagnostics as { message, line, column, error }.
+async function compileSource(source, lang) {
+  const language = LANGUAGES[lang] || LANGUAGES.js;
+  if (!language.fileName) return { code: source, map: null, diagnostics: [] };
+  const ts = await loadTypeScript();
+  const out = ts.transpileModule(source, {
+    fileName: language.fileName,
+    reportDiagnostics: true,
+    compilerOptions: { target: ts.ScriptTarget.ES2022, module: ts.ModuleKind.ESNext, jsx: ts.JsxEmit.React, sourceMap: true },
+  });
+  const diagnostics = (out.diagnostics || []).map((d) => {
+    const pos = d.file && d.start != null ? d.file.getLineAndCharacterOfPosition(d.start) : { line: 0, character: 0 };
+    return {
+      message: `TS${d.code}: ${ts.flattenDiagnosticMessageText(d.messageText, '\n')}`,
+      line: pos.line + 1,
+      column: pos.character + 1,
+      error: d.category === ts.DiagnosticCategory.Error,
+    };
+  });
+  const code = out.outputText.replace(/\n?\/\/# sourceMappingURL=\S*\s*$/, '\n');
+  const map = out.sourceMapText ? decodeMappings(JSON.parse(out.sourceMapText).mappings) : null;
+  return { code, map, diagnostics };
+}
+
+// Source map `mappings` as one array per generated line of [generatedColumn, sourceLine,
+// sourceColumn] segments, all 0-based.
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+function decodeMappings(mappings) {
+  const lines = [];
+  let sourceLine = 0, sourceColumn = 0;
+  for (const text of mappings.split(';')) {
+    const segments = [];
+    let column = 0;
+    for (const segment of text.split(',')) {
+      if (!segment) continue;
+      const values = [];
+      let value = 0, shift = 0;
+      for (const ch of segment) {
+        const digit = BASE64_DIGITS.indexOf(ch);
+        value += (digit & 31) << shift;
+        if (digit & 32) { shift += 5; continue; }
+        values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+        value = shift = 0;
+      }
+      column += values[0];
+      if (values.length < 4) continue; // segment without a source position
+      sourceLine += values[2];
+      sourceColumn += values[3];
+      segments.push([column, sourceLine, sourceColumn]);
+    }
+    lines.push(segments);
+  }
+  return lines;
+}
+// Map a 1-based line/column in generated code to the source, using the closest segment at or
+// before the column (positions before the first segment of a line use that segment)
+function mapToSource(map, line, column) {
+  const segments = map[line - 1];
+  if (!segments || !segments.length) return { line, column };
+  let best = segments[0];
+  for (const seg of segments) if (seg[0] <= column - 1) best = seg;
+  return { line: best[1] + 1, column: best[2] + 1 };
+}
+
+// --- Run Scheduler ---
+// Editor changes go through scheduleRun(): Auto Run is debounced by settings.autoRunDelayMs and
+// skipped when the run inputs (code, import map, HTML, CSS, language) are unchanged since the
+// last run. run() executes immediately, cancels any pending scheduled run, and bumps runId,
+// which the sandbox stamps on every message it sends.
+let runId = 0;
+let lastRunKey = null;
+let runTimer = 0;
+const runInputKey = () => JSON.stringify([editor.value, importMapEditor.value, htmlEditor.value, cssEditor.value, langSelect.value]);
+function scheduleRun() {
+  if (!autoRunEl.checked) return;
+  clearTimeout(runTimer);
+  runTimer = setTimeout(() => {
+    runTimer = 0;
+    if (runInputKey() !== lastRunKey) run();
+  }, settings.autoRunDelayMs);
+}
+function cancelScheduledRun() {
+  clearTimeout(runTimer);
+  runTimer = 0;
+}
+// Called after every edit to the buffer: schedules Auto Run, autosave and re-highlighting
+function editorChanged() {
+  scheduleRun();
+  scheduleAutosave();
+  scheduleHighlight();
+}
+
+// Source of the current run and how to map sandbox positions back to it: `code` is the compiled
+// JavaScript, `inserts` the loop guards added to it and `map` its source map (null for JavaScript)
+let runSource = { code: '', inserts: [], map: null };
+async function run() {
+  cancelScheduledRun();
+  const id = ++runId;
+  lastRunKey = runInputKey();
+  const lang = langSelect.value;
+  beginConsoleRun(id); // Not accumulated unless "Preserve log" is on
+  beginRunRecord(id);
+  resetTests();
+  clearErrorMarkers();
+  createSandbox();
+  const loading = LANGUAGES[lang].fileName && !window.ts ? printLine('muted', { t: 'string', v: 'Loading the TypeScript compiler…' }) : null;
+  let compiled, imports;
+  try {
+    [compiled, imports] = await Promise.all([compileSource(editor.value, lang), resolveImportMap(importMapEditor.value)]);
+  } catch (err) {
+    if (id === runId) printLine('error', { t: 'string', v: `${LANGUAGES[lang].label} compiler: ${err && err.message || err}` });
+    return;
+  } finally {
+    if (loading) loading.remove();
+  }
+  if (id !== runId) return; // superseded while compiling
+  for (const message of imports.errors) printLine('error', { t: 'string', v: `Import map: ${message}` });
+  for (const d of compiled.diagnostics) {
+    const line = printLine(d.error ? 'error' : 'warn', { t: 'string', v: d.message });
+    attachLocation(line, d, d.message);
+  }
+  if (compiled.diagnostics.some(d => d.error)) return;
+  const prepared = instrumentLoops(compiled.code);
+  runSource = { code: compiled.code, inserts: prepared.inserts, map: compiled.map };
+  markRunStarted();
+  postToSandbox({ __runCode: true, code: prepared.code, importMap: imports.map, modules: imports.modules });
+}
+
+// --- Import Map ---
+// The Import Map tab holds a standard import map ({ "imports": {...}, "scopes": {...} }).
+// A target of the form "snippet:<name>" turns another snippet into an inline module: its code is
+// sent along and the sandbox serves it from a blob URL. Other targets are URLs, resolved against
+// this page (local files need a server that allows cross-origin module requests, since the
+// sandbox has an opaque origin). TypeScript and JSX snippets are compiled first. Problems are
+// returned in `errors` for run() to print.
+const SNIPPET_MODULE_PREFIX = 'snippet:';
+async function resolveImportMap(text) {
+  const result = { map: null, modules: {}, errors: [] };
+  if (!text.trim()) return result;
+  const fail = (message) => { result.errors.push(message); return result; };
+  let map;
+  try { map = JSON.parse(text); } catch (err) { return fail(err.message); }
+  if (!map || typeof map !== 'object' || Array.isArray(map)) return fail('expected a JSON object');
+  if (map.imports != null && (typeof map.imports !== 'object' || Array.isArray(map.imports))) return fail('"imports" must be an object');
+  for (const [specifier, target] of Object.entries(map.imports || {})) {
+    if (typeof target !== 'string' || !target.startsWith(SNIPPET_MODULE_PREFIX)) continue;
+    const name = target.slice(SNIPPET_MODULE_PREFIX.length);
+    const snippet = snippets.find(s => s.name === name);
+    if (!snippet) { fail(`no snippet named "${name}" (for "${specifier}")`); continue; }
+    if (snippet === activeSnippet) { fail(`"${specifier}" cannot import the snippet being run`); continue; }
+    const compiled = await compileSource(snippet.code, snippet.lang);
+    const failed = compiled.diagnostics.find(d => d.error);
+    if (failed) { fail(`snippet "${name}" line ${failed.line}: ${failed.message}`); continue; }
+    result.modules[specifier] = instrumentLoops(compiled.code).code;
+  }
+  result.map = map;
+  return result;
+}
+
+// --- REPL ---
+// Evaluates one line in the live sandbox of the last run (a fresh one if nothing ran yet)
+const REPL_HISTORY_LIMIT = 100;
+const replHistory = [];
+let replHistoryIndex = 0;
+let replDraft = '';
+function evaluateInSandbox(code) {
+  runRecord = null;
+  const line = printLine('input', { t: 'string', v: code });
+  line.title = 'REPL input';
+  postToSandbox({ __evalCode: true, code: instrumentLoops(code).code });
+}
+replForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const code = replInput.value;
+  if (!code.trim()) return;
+  if (replHistory[replHistory.length - 1] !== code) replHistory.push(code);
+  if (replHistory.length > REPL_HISTORY_LIMIT) replHistory.shift();
+  replHistoryIndex = replHistory.length;
+  replDraft = '';
+  replInput.value = '';
+  evaluateInSandbox(code);
+});
+replInput.addEventListener('keydown', (e) => {
+  if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+  if (!replHistory.length) return;
+  e.preventDefault();
+  if (replHistoryIndex === replHistory.length) replDraft = replInput.value;
+  replHistoryIndex += e.key === 'ArrowUp' ? -1 : 1;
+  replHistoryIndex = Math.max(0, Math.min(replHistory.length, replHistoryIndex));
+  replInput.value = replHistoryIndex === replHistory.length ? replDraft : replHistory[replHistoryIndex];
+  replInput.setSelectionRange(replInput.value.length, replInput.value.length);
+});
+
+// Wire up UI event listeners
+runBtn.addEventListener('click', run);
+exampleBtn.addEventListener('click', () => { recordEdit(); editor.value = DEFAULT_CODE; if (autoRunEl.checked) run(); scheduleAutosave(); scheduleHighlight(); });
+editor.addEventListener('input', editorChanged);
+for (const input of [importMapEditor, htmlEditor, cssEditor]) input.addEventListener('input', () => { scheduleRun(); scheduleAutosave(); });
+
+// Language selector: the editor tab, the Export button and the highlighter follow it
+const jsTab = editorTabs.querySelector('.tab[data-tab="js"]');
+function applyLanguage() {
+  const language = LANGUAGES[langSelect.value];
+  jsTab.textContent = language.label;
+  exportBtn.textContent = `Export ${language.ext.slice(1).toUpperCase()} File`;
+  resetHighlight();
+}
+langSelect.addEventListener('change', () => {
+  applyLanguage();
+  scheduleRun();
+  scheduleAutosave();
+});
+
+// Tabs: each .tab[data-tab] in a .tabs group shows the [data-panel] elements with the same name
+function selectTab(tab) {
+  for (const t of tab.closest('.tabs').querySelectorAll('.tab')) {
+    const active = t === tab;
+    t.classList.toggle('active', active);
+    t.setAttribute('aria-selected', String(active));
+    for (const panel of document.querySelectorAll(`[data-panel="${t.dataset.tab}"]`)) panel.hidden = !active;
+  }
+  if (editorTabs.contains(tab) && tab.dataset.tab !== 'js') closeFind();
+  const input = document.querySelector(`[data-panel="${tab.dataset.tab}"] textarea`);
+  if (input) input.focus();
+}
+for (const tabs of document.querySelectorAll('.tabs')) {
+  tabs.addEventListener('click', (e) => {
+    const tab = e.target.closest('.tab');
+    if (tab) selectTab(tab);
+  });
+}
+autoRunEl.addEventListener('change', () => { if (autoRunEl.checked) run(); else cancelScheduledRun(); scheduleHighlight(); });
+
+// --- Snippets ---
+// Named snippets live in IndexedDB (no localStorage quota); `snippets` is the in-memory copy the
+// sidebar renders from. The active snippet is autosaved shortly after each edit.
+const DB_NAME = 'realtime_console';
+const DB_VERSION = 1;
+const SNIPPET_STORE = 'snippets';
+const LS_KEY = 'realtime_console_code_v1'; // legacy single-slot cache, migrated on first start
+const ACTIVE_SNIPPET_KEY = 'realtime_console_active_snippet';
+const AUTOSAVE_DELAY_MS = 500;
+let snippets = [];
+let activeSnippet = null;
+let autosaveTimer = 0;
+
+let dbPromise = null;
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) { reject(new Error('IndexedDB is not available')); return; }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => { req.result.createObjectStore(SNIPPET_STORE, { keyPath: 'id' }); };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+// Run one request against the snippet store; resolves with its result once the transaction commits
+async function snippetRequest(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(SNIPPET_STORE, mode);
+    const req = fn(tx.objectStore(SNIPPET_STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+// Storage failures keep the in-memory snippets working; warn only once per session
+let storageWarned = false;
+function reportStorageError(err) {
+  if (storageWarned) return;
+  storageWarned = true;
+  alert('Snippets cannot be saved in this browser: ' + (err && err.message || err));
+}
+function persistSnippet(snippet) {
+  return snippetRequest('readwrite', store => store.put(snippet)).catch(reportStorageError);
+}
+function removeSnippet(id) {
+  return snippetRequest('readwrite', store => store.delete(id)).catch(reportStorageError);
+}
+
+// Snippet fields, the inputs that hold them while the snippet is active, and their defaults
+// (also used for snippets saved before the field existed)
+const SNIPPET_EDITORS = { code: editor, importMap: importMapEditor, html: htmlEditor, css: cssEditor, lang: langSelect };
+const SNIPPET_DEFAULTS = { code: '', importMap: '', html: '', css: '', lang: 'js' };
+const snippetField = (snippet, field) => snippet[field] ?? SNIPPET_DEFAULTS[field];
+// Current editor contents as snippet fields
+const editorFields = () => Object.fromEntries(Object.entries(SNIPPET_EDITORS).map(([field, input]) => [field, input.value]));
+
+function createSnippet(name, code = '', fields = {}) {
+  const now = Date.now();
+  const snippet = { id: now.toString(36) + Math.random().toString(36).slice(2, 8), ...SNIPPET_DEFAULTS, name, code, ...fields, created: now, updated: now };
+  snippets.push(snippet);
+  persistSnippet(snippet);
+  return snippet;
+}
+// Pick a name not used by another snippet: "Untitled", "Untitled 2", ...
+function uniqueSnippetName(base) {
+  const names = new Set(snippets.map(s => s.name));
+  if (!names.has(base)) return base;
+  let n = 2;
+  while (names.has(`${base} ${n}`)) n++;
+  return `${base} ${n}`;
+}
+
+function saveActiveSnippet() {
+  clearTimeout(autosaveTimer);
+  autosaveTimer = 0;
+  if (!activeSnippet) return;
+  const changed = Object.keys(SNIPPET_EDITORS).filter(field => snippetField(activeSnippet, field) !== SNIPPET_EDITORS[field].value);
+  if (!changed.length) return;
+  for (const field of changed) activeSnippet[field] = SNIPPET_EDITORS[field].value;
+  activeSnippet.updated = Date.now();
+  persistSnippet(activeSnippet);
+  renderSnippetList();
+}
+function scheduleAutosave() {
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(saveActiveSnippet, AUTOSAVE_DELAY_MS);
+}
+
+function activateSnippet(snippet, { runNow = autoRunEl.checked } = {}) {
+  saveActiveSnippet();
+  activeSnippet = snippet;
+  useUndoHistory(snippet.id);
+  try { localStorage.setItem(ACTIVE_SNIPPET_KEY, snippet.id); } catch (_) {}
+  for (const [field, input] of Object.entries(SNIPPET_EDITORS)) input.value = snippetField(snippet, field);
+  editor.selectionStart = editor.selectionEnd = 0;
+  if (htmlEditor.value.trim() || cssEditor.value.trim()) showPreview(true);
+  lastRunKey = null;
+  if (runNow) run(); else { cancelScheduledRun(); if (!preserveLogEl.checked) clearConsole(); resetTests(); }
+  applyLanguage();
+  renderSnippetList();
+  scheduleHistoryRender();
+}
+
+function formatTimestamp(ts) {
+  const d = new Date(ts);
+  const sameDay = d.toDateString() === new Date().toDateString();
+  return sameDay
+    ? d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : d.toLocaleDateString([], { year: 'numeric', month: 'short', day: 'numeric' });
+}
+function renderSnippetList() {
+  snippetListEl.textContent = '';
+  const sorted = [...snippets].sort((a, b) => b.updated - a.updated);
+  for (const snippet of sorted) {
+    const item = el('li', 'snippet' + (snippet === activeSnippet ? ' active' : ''));
+    item.dataset.id = snippet.id;
+    item.title = `Last modified ${new Date(snippet.updated).toLocaleString()}`;
+    const actions = el('span', 'snippet-actions');
+    actions.append(
+      Object.assign(el('button', 'icon-btn', '✎'), { title: 'Rename', type: 'button' }),
+      Object.assign(el('button', 'icon-btn', '⧉'), { title: 'Duplicate', type: 'button' }),
+      Object.assign(el('button', 'icon-btn', '✕'), { title: 'Delete', type: 'button' })
+    );
+    actions.children[0].dataset.action = 'rename';
+    actions.children[1].dataset.action = 'duplicate';
+    actions.children[2].dataset.action = 'delete';
+    item.append(el('span', 'snippet-name', snippet.name), el('span', 'snippet-meta', formatTimestamp(snippet.updated)), actions);
+    snippetListEl.append(item);
+  }
+  snippetTitleEl.textContent = activeSnippet ? activeSnippet.name : '';
+}
+
+function renameSnippet(snippet) {
+  const name = prompt('Rename snippet:', snippet.name);
+  if (name == null || !name.trim() || name.trim() === snippet.name) return;
+  snippet.name = name.trim();
+  snippet.updated = Date.now();
+  persistSnippet(snippet);
+  renderSnippetList();
+}
+function duplicateSnippet(snippet) {
+  if (snippet === activeSnippet) saveActiveSnippet();
+  const fields = Object.fromEntries(Object.keys(SNIPPET_DEFAULTS).map(field => [field, snippetField(snippet, field)]));
+  activateSnippet(createSnippet(uniqueSnippetName(`${snippet.name} copy`), fields.code, fields), { runNow: false });
+}
+function deleteSnippet(snippet) {
+  if (!confirm(`Delete snippet "${snippet.name}"? This cannot be undone.`)) return;
+  snippets = snippets.filter(s => s !== snippet);
+  removeSnippet(snippet.id);
+  undoHistories.delete(snippet.id);
+  runHistories.delete(snippet.id);
+  if (snippet === activeSnippet) {
+    activeSnippet = null; // nothing left to save
+    const next = [...snippets].sort((a, b) => b.updated - a.updated)[0] || createSnippet(uniqueSnippetName('Untitled'));
+    activateSnippet(next, { runNow: false });
+  } else {
+    renderSnippetList();
+  }
+}
+
+snippetListEl.addEventListener('click', (e) => {
+  const item = e.target.closest('.snippet');
+  if (!item) return;
+  const snippet = snippets.find(s => s.id === item.dataset.id);
+  if (!snippet) return;
+  const action = e.target.closest('[data-action]');
+  if (!action) { if (snippet !== activeSnippet) activateSnippet(snippet); return; }
+  if (action.dataset.action === 'rename') renameSnippet(snippet);
+  else if (action.dataset.action === 'duplicate') duplicateSnippet(snippet);
+  else if (action.dataset.action === 'delete') deleteSnippet(snippet);
+});
+snippetListEl.addEventListener('dblclick', (e) => {
+  const item = e.target.closest('.snippet');
+  const snippet = item && snippets.find(s => s.id === item.dataset.id);
+  if (snippet && !e.target.closest('[data-action]')) renameSnippet(snippet);
+});
+newSnippetBtn.addEventListener('click', () => {
+  const name = prompt('New snippet name:', uniqueSnippetName('Untitled'));
+  if (name == null) return;
+  activateSnippet(createSnippet(uniqueSnippetName(name.trim() || 'Untitled')), { runNow: false });
+});
+// Preview pane: the sandbox iframe is always mounted in it; the pane is only hidden or shown.
+// Dragging the bar below it resizes it against the console.
+function showPreview(show) {
+  previewPane.hidden = previewResizer.hidden = !show;
+  previewBtn.setAttribute('aria-pressed', String(show));
+}
+previewBtn.addEventListener('click', () => showPreview(previewPane.hidden));
+previewResizer.addEventListener('pointerdown', (e) => {
+  e.preventDefault();
+  previewResizer.setPointerCapture(e.pointerId);
+  previewResizer.classList.add('dragging');
+  const startY = e.clientY;
+  const startHeight = previewPane.getBoundingClientRect().height;
+  const maxHeight = previewPane.parentElement.getBoundingClientRect().height - 120; // keep the console usable
+  const move = (ev) => { previewPane.style.height = `${Math.max(60, Math.min(maxHeight, startHeight + ev.clientY - startY))}px`; };
+  const end = () => {
+    previewResizer.classList.remove('dragging');
+    previewResizer.removeEventListener('pointermove', move);
+    previewResizer.removeEventListener('pointerup', end);
+    previewResizer.removeEventListener('pointercancel', end);
+  };
+  previewResizer.addEventListener('pointermove', move);
+  previewResizer.addEventListener('pointerup', end);
+  previewResizer.addEventListener('pointercancel', end);
+});
+
+sidebarBtn.addEventListener('click', () => {
+  const hidden = splitEl.classList.toggle('no-sidebar');
+  sidebarBtn.setAttribute('aria-pressed', String(!hidden));
+});
+
+saveBtn.addEventListener('click', () => {
+  saveActiveSnippet();
+  const original = 'Save';
+  saveBtn.textContent = 'Saved';
+  setTimeout(() => saveBtn.textContent = original, 1200);
+});
+
+// Import .js/.ts/.tsx/.jsx files as new snippets (counterpart of Export)
+const EXTENSION_LANGS = { '.ts': 'ts', '.mts': 'ts', '.tsx': 'jsx', '.jsx': 'jsx' };
+importBtn.addEventListener('click', () => importInput.click());
+importInput.addEventListener('change', async () => {
+  const files = Array.from(importInput.files || []);
+  importInput.value = '';
+  let last = null;
+  for (const file of files) {
+    try {
+      const ext = (file.name.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+      last = createSnippet(uniqueSnippetName(file.name.replace(/\.[^.]+$/, '') || 'Imported'), await file.text(), { lang: EXTENSION_LANGS[ext] || 'js' });
+    } catch (err) {
+      alert(`Import of ${file.name} failed: ${err}`);
+    }
+  }
+  if (last) activateSnippet(last);
+});
+
+// Flush pending autosave when the page is hidden or closed
+document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'hidden') saveActiveSnippet(); });
+window.addEventListener('pagehide', saveActiveSnippet);
+
+// Load all snippets, migrating the legacy single-slot cache on first start
+async function initSnippets() {
+  try {
+    snippets = await snippetRequest('readonly', store => store.getAll());
+  } catch (err) {
+    reportStorageError(err);
+    snippets = [];
+  }
+  if (!snippets.length) {
+    let legacy = null;
+    try { legacy = localStorage.getItem(LS_KEY); } catch (_) {}
+    createSnippet(legacy ? 'Cached snippet' : 'Untitled', legacy || '');
+  }
+  let activeId = null;
+  try { activeId = localStorage.getItem(ACTIVE_SNIPPET_KEY); } catch (_) {}
+  const active = snippets.find(s => s.id === activeId) || [...snippets].sort((a, b) => b.updated - a.updated)[0];
+  // Do not auto-run on load; keep anything typed before the database answered
+  const typed = editor.value;
+  activateSnippet(active, { runNow: false });
+  if (typed) { editor.value = typed; editorChanged(); }
 }
+initSnippets().then(openShareLink);
+window.addEventListener('hashchange', openShareLink);
 
-// Clear the console output
-function clearConsole() {
-  consoleEl.textContent = '';
+// --- Share Links ---
+// The editor content and the Auto Run setting are packed into the URL hash, so a link opens with
+// the code preloaded and no server is involved. `z=` holds deflate-raw compressed UTF-8, `c=`
+// uncompressed UTF-8 for browsers without CompressionStream; both are base64url encoded. A
+// non-empty import map travels the same way in `zm=` / `cm=`, and `lang=` names a language other
+// than JavaScript.
+function toBase64Url(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
 }
-// Print a line to the console output
-function printLine(type, ...parts) {
-  const line = document.createElement('div');
-  line.className = `line ${type}`;
-  line.textContent = parts.map(format).join(' ');
-  consoleEl.appendChild(line);
-  consoleEl.scrollTop = consoleEl.scrollHeight;
+function fromBase64Url(text) {
+  const bin = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
 }
-// Format output for display
-function format(v) {
-  if (typeof v === 'string') return v;
-  try { return JSON.stringify(v); } catch { return String(v); }
+async function pipeBytes(bytes, transform) {
+  return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer());
 }
-
-// Listen for messages from the sandboxed iframe
-window.addEventListener('message', (e) => {
-  const data = e.data;
-  if (!data || !data.__fromSandbox) return;
-  printLine(data.type || 'log', ...(data.args || []));
-});
-
-function run() {
-  clearConsole(); // Not accumulated: clear before each run
-  createSandbox();
-  // Ensure the iframe is ready before sending code
-  const send = () => iframe && iframe.contentWindow && iframe.contentWindow.postMessage({ __runCode: true, code: editor.value }, '*');
-  if (iframe.contentWindow) {
-    // If already available, queue to next tick to let script init
-    setTimeout(send, 0);
-  }
-  iframe.addEventListener('load', () => {
-    send();
-  }, { once: true });
+async function packShareText(params, key, text) {
+  const bytes = new TextEncoder().encode(text);
+  if (typeof CompressionStream === 'function') params.set('z' + key, toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw'))));
+  else params.set('c' + key, toBase64Url(bytes));
+}
+async function unpackShareText(params, key) {
+  let bytes;
+  if (params.has('z' + key)) {
+    if (typeof DecompressionStream !== 'function') throw new Error('this browser cannot decompress share links');
+    bytes = await pipeBytes(fromBase64Url(params.get('z' + key)), new DecompressionStream('deflate-raw'));
+  } else if (params.has('c' + key)) {
+    bytes = fromBase64Url(params.get('c' + key));
+  } else {
+    return null;
+  }
+  return new TextDecoder().decode(bytes);
+}
+// Hash key suffix of each optional text field; the code itself uses the bare z / c keys
+const SHARE_TEXT_KEYS = { importMap: 'm', html: 'h', css: 's' };
+// `fields` holds the snippet fields (code, importMap, html, css, lang); empty ones are left out
+async function encodeShareHash(fields, auto) {
+  const params = new URLSearchParams();
+  await packShareText(params, '', fields.code);
+  for (const [field, key] of Object.entries(SHARE_TEXT_KEYS)) {
+    if (fields[field] && fields[field].trim()) await packShareText(params, key, fields[field]);
+  }
+  if (fields.lang && fields.lang !== 'js') params.set('lang', fields.lang);
+  params.set('auto', auto ? '1' : '0');
+  return '#' + params.toString();
+}
+// Returns { code, importMap, html, css, lang, auto } for a share hash, null when the hash is not a share link
+async function decodeShareHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const code = await unpackShareText(params, '');
+  if (code == null) return null;
+  const shared = { code };
+  for (const [field, key] of Object.entries(SHARE_TEXT_KEYS)) shared[field] = await unpackShareText(params, key) || '';
+  shared.lang = LANGUAGES[params.get('lang')] ? params.get('lang') : 'js';
+  shared.auto = params.has('auto') ? params.get('auto') === '1' : null;
+  return shared;
 }
 
-// Wire up UI event listeners
-runBtn.addEventListener('click', run);
-exampleBtn.addEventListener('click', () => { editor.value = DEFAULT_CODE; if (autoRunEl.checked) run(); scheduleHighlight(); });
-editor.addEventListener('input', () => { if (autoRunEl.checked) run(); scheduleHighlight(); });
-autoRunEl.addEventListener('change', () => { if (autoRunEl.checked) run(); scheduleHighlight(); });
-
-// Save / Load cache (localStorage)
-const LS_KEY = 'realtime_console_code_v1';
-saveBtn.addEventListener('click', () => {
+// Load code from the URL hash into the active snippet, confirming before replacing a draft.
+// A link made with Auto Run on (`auto=1`) runs the code right away; otherwise nothing runs until
+// the next edit or Run.
+async function openShareLink() {
+  let shared;
   try {
-    localStorage.setItem(LS_KEY, editor.value);
-    const original = 'Save Cache';
-    saveBtn.textContent = 'Cached';
-    setTimeout(() => saveBtn.textContent = original, 1200);
+    shared = await decodeShareHash(location.hash);
   } catch (err) {
-    alert('Cache save failed: ' + err);
+    alert('This share link is invalid or corrupted: ' + (err && err.message || err));
+    shared = null;
+  }
+  if (!shared && !/^#(z|c)=/.test(location.hash)) return;
+  history.replaceState(null, '', location.pathname + location.search); // a reload should not ask again
+  if (!shared) return;
+  const current = editor.value;
+  if (current.trim() && Object.entries(SNIPPET_EDITORS).some(([field, input]) => input.value !== shared[field])) {
+    const name = activeSnippet ? ` "${activeSnippet.name}"` : '';
+    if (!confirm(`This link contains shared code. Replace your current draft${name} with it?`)) return;
+  }
+  recordEdit();
+  for (const [field, input] of Object.entries(SNIPPET_EDITORS)) input.value = shared[field];
+  editor.selectionStart = editor.selectionEnd = 0;
+  if (shared.html.trim() || shared.css.trim()) showPreview(true);
+  if (shared.auto != null) autoRunEl.checked = shared.auto;
+  applyLanguage();
+  scheduleAutosave();
+  lastRunKey = null;
+  // With Auto Run on, the recipient sees the output the sender saw
+  if (shared.auto) run(); else { cancelScheduledRun(); if (!preserveLogEl.checked) clearConsole(); resetTests(); }
+}
+
+shareBtn.addEventListener('click', async () => {
+  const url = location.href.replace(/#.*$/, '') + await encodeShareHash(editorFields(), autoRunEl.checked);
+  const original = 'Share';
+  try {
+    await navigator.clipboard.writeText(url);
+    shareBtn.textContent = 'Link copied';
+    setTimeout(() => shareBtn.textContent = original, 1200);
+  } catch (_) {
+    prompt('Copy this link:', url);
   }
-});
-loadBtn.addEventListener('click', () => {
-  const cached = localStorage.getItem(LS_KEY);
-  if (cached == null) { alert('No cached code found.'); return; }
-  if (!confirm('Loading cached code will overwrite current content. Continue?')) return;
-  editor.value = cached;
-  if (autoRunEl.checked) run(); else clearConsole();
-  scheduleHighlight();
 });
 
-// Export current code as a .js file
-exportBtn.addEventListener('click', () => {
-  const code = editor.value || '';
-  const blob = new Blob([code], { type: 'text/javascript' });
-  const url = URL.createObjectURL(blob);
+// Current time for download file names, e.g. 2025-09-17-08-30-05 (UTC)
+const fileStamp = () => new Date().toISOString().replace(/[:T]/g, '-').replace(/\..+/, '');
+function downloadFile(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
   const a = document.createElement('a');
-  const stamp = new Date().toISOString().replace(/[:T]/g,'-').replace(/\..+/, '');
   a.href = url;
-  a.download = `code-${stamp}.js`;
+  a.download = name;
   document.body.appendChild(a);
   a.click();
   setTimeout(() => { URL.revokeObjectURL(url); a.remove(); }, 0);
+}
+
+// Export current code as a file of the selected language (.js, .ts or .tsx)
+exportBtn.addEventListener('click', () => {
+  const code = editor.value || '';
+  const language = LANGUAGES[langSelect.value];
+  const stamp = fileStamp();
+  const base = activeSnippet ? activeSnippet.name.replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') : '';
+  downloadFile(`${base || 'code'}-${stamp}${language.ext}`, code, language.mime);
   scheduleHighlight();
 });
 
 // Clear editor content button
 clearBtn.addEventListener('click', () => {
   if (editor.value && editor.value.trim()) {
-    if (!confirm('Clear all code in editor? This cannot be undone.')) return;
+    if (!confirm('Clear all code in editor? (Ctrl+Z undoes it)')) return;
   }
+  recordEdit();
   editor.value = '';
   clearConsole();
+  scheduleAutosave();
   scheduleHighlight();
   if (autoRunEl.checked) run();
 });
 
-// Keyboard shortcuts
-// Ctrl/Cmd + Enter : Run
-// Ctrl/Cmd + S     : Save Cache
-// Ctrl/Cmd + L     : Load Cache (with confirmation)
-// Ctrl/Cmd + E     : Load Example (ask before overwrite if not empty)
-// Ctrl/Cmd + A     : 在編輯區 -> 全選 (預設瀏覽器行為)；非編輯區 -> Toggle Auto Run
-// Ctrl/Cmd + D     : Export JS
+// --- Keyboard Shortcuts ---
+// Every global shortcut is an action with default key combos; Settings can rebind them
+// (settings.keymap). A combo is written like 'Mod+Shift+E', where Mod is Ctrl, or Cmd on macOS.
+// `editorOnly` actions apply while the editor has focus, and otherwise leave the key to the
+// browser; `when` can veto an action for the current focus.
+const IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform);
+const inTextField = () => document.activeElement && document.activeElement.matches('input, textarea, select, [contenteditable]');
+const ACTIONS = {
+  run: { label: 'Run code', keys: ['Mod+Enter'], run: () => run() },
+  save: { label: 'Save active snippet', keys: ['Mod+S'], run: () => saveBtn.click() },
+  import: { label: 'Import files as snippets', keys: ['Mod+L'], run: () => importBtn.click() },
+  example: { label: 'Load example (asks before overwriting)', keys: ['Mod+E'], run: loadExample },
+  export: { label: 'Export file', keys: ['Mod+Shift+E'], run: () => exportBtn.click() },
+  // In text fields Ctrl+A stays the browser's Select All
+  toggleAutoRun: { label: 'Toggle Auto Run (outside text fields)', keys: ['Mod+A'], when: () => !inTextField(), run: toggleAutoRun },
+  find: { label: 'Find', keys: ['Mod+F'], run: () => openFind(false) },
+  replace: { label: 'Find and replace', keys: ['Mod+H'], run: () => openFind(true) },
+  nextOccurrence: { label: 'Add next occurrence (multiple cursors)', keys: ['Mod+D'], editorOnly: true, run: selectNextOccurrence },
+  undo: { label: 'Undo', keys: ['Mod+Z'], editorOnly: true, run: () => undo() },
+  redo: { label: 'Redo', keys: ['Mod+Y', 'Mod+Shift+Z'], editorOnly: true, run: () => redo() },
+  suggest: { label: 'Show autocomplete suggestions', keys: ['Mod+Space'], editorOnly: true, run: () => updateCompletion(true) },
+  quickLog: { label: 'Insert console.log() / wrap selection', keys: ['Mod+G'], editorOnly: true, run: insertQuickLog },
+  toggleComment: { label: 'Toggle line comment', keys: ['Mod+/'], editorOnly: true, run: () => toggleComment() },
+};
+const bindingsOf = (id) => settings.keymap[id] || ACTIONS[id].keys;
+
+// The combo of a keydown event, in keymap notation
+function comboOf(e) {
+  let key = e.key;
+  if (e.altKey && /^Key[A-Z]$/.test(e.code)) key = e.code.slice(3); // Option+letter types a symbol on macOS
+  else if (key === ' ') key = 'Space';
+  else if (key.length === 1) key = key.toUpperCase();
+  const mods = [];
+  if (e.ctrlKey || e.metaKey) mods.push('Mod');
+  if (e.altKey) mods.push('Alt');
+  if (e.shiftKey) mods.push('Shift');
+  return [...mods, key].join('+');
+}
+const comboLabel = (combo) => combo.replace(/^Mod(?=\+)/, IS_MAC ? '⌘' : 'Ctrl');
+// Does a keydown event trigger the given action?
+const matchesAction = (e, id) => bindingsOf(id).includes(comboOf(e));
+
+function loadExample() {
+  if (editor.value && editor.value.trim() && editor.value !== DEFAULT_CODE) {
+    if (!confirm('Load example code and overwrite current content?')) return;
+  }
+  exampleBtn.click();
+}
+function toggleAutoRun() {
+  autoRunEl.checked = !autoRunEl.checked;
+  if (autoRunEl.checked) run(); else cancelScheduledRun();
+}
+// Insert console.log(), or wrap the selection in one (keeping it selected)
+function insertQuickLog() {
+  const { selectionStart: start, selectionEnd: end, value } = editor;
+  const selectedText = value.slice(start, end);
+  recordEdit();
+  editor.setRangeText(selectedText ? `console.log(${selectedText});` : 'console.log();', start, end, 'end');
+  // 將游標放在括號中間（若有選取則重新選取原本文字）
+  editor.selectionStart = start + 'console.log('.length;
+  editor.selectionEnd = editor.selectionStart + selectedText.length;
+  editorChanged();
+}
+
 window.addEventListener('keydown', (e) => {
-  if (!(e.ctrlKey || e.metaKey)) return;
-  const key = e.key.toLowerCase();
-  switch (key) {
-    case 'enter':
-      e.preventDefault();
-      run();
-      break;
-    case 's':
-      e.preventDefault();
-      saveBtn.click();
-      break;
-    case 'l':
-      e.preventDefault();
-      loadBtn.click();
-      break;
-    case 'e':
-      e.preventDefault();
-      if (editor.value && editor.value.trim() && editor.value !== DEFAULT_CODE) {
-        if (!confirm('Load example code and overwrite current content?')) return;
-      }
-      exampleBtn.click();
-      break;
-    case 'a':
-      // 若焦點在 editor，交還給瀏覽器原生 Ctrl+A 全選
-      if (document.activeElement === editor) return; // 不攔截，讓瀏覽器全選
-      e.preventDefault();
-      autoRunEl.checked = !autoRunEl.checked;
-      if (autoRunEl.checked) run();
-      break;
-    case 'd':
-      e.preventDefault();
-      exportBtn.click();
-      break;
-    case 'g':
-      // 僅在焦點為 editor 時生效
-      if (document.activeElement !== editor) return;
-      e.preventDefault();
-      const { selectionStart: gs, selectionEnd: ge, value: gv } = editor;
-      const selectedText = gv.slice(gs, ge);
-      const snippet = selectedText
-        ? `console.log(${selectedText});`
-        : 'console.log();';
-      editor.setRangeText(snippet, gs, ge, 'end');
-      // 將游標放在括號中間（若有選取則重新選取原本文字）
-      if (selectedText) {
-        const insideStart = gs + 'console.log('.length;
-        editor.selectionStart = insideStart;
-        editor.selectionEnd = insideStart + selectedText.length;
-      } else {
-        const caretInside = gs + 'console.log('.length;
-        editor.selectionStart = editor.selectionEnd = caretInside;
-      }
-      if (autoRunEl.checked) run();
-      scheduleHighlight();
-      break;
-    case '/':
-      // Ctrl+/ 註解/取消註解（需焦點在 editor）
-      if (document.activeElement !== editor) return;
-      e.preventDefault();
-      toggleComment();
-      break;
-    default:
-      break;
+  if (e.isComposing) return;
+  const combo = comboOf(e);
+  for (const [id, action] of Object.entries(ACTIONS)) {
+    if (!bindingsOf(id).includes(combo)) continue;
+    if (action.editorOnly && document.activeElement !== editor) continue;
+    if (action.when && !action.when()) continue;
+    e.preventDefault();
+    action.run();
+    return;
+  }
+});
+
+// --- Settings ---
+// The ⚙ Settings panel edits `settings`: the form fields are named after its keys, and every
+// change is applied and saved to localStorage right away. The keymap table rebinds ACTIONS.
+const THEMES = ['dark', 'light', 'contrast'];
+// Keys saved in localStorage
+const STORED_SETTINGS = ['theme', 'fontSize', 'autoRunDelayMs', 'syncBudgetMs', 'totalBudgetMs', 'indentSize', 'indentWithTabs', 'autoPair', 'keymap'];
+function loadSettings() {
+  let stored = null;
+  try { stored = JSON.parse(localStorage.getItem(SETTINGS_KEY)); } catch (_) {}
+  if (!stored || typeof stored !== 'object') return;
+  // Only stored values with the default's type are taken over
+  for (const key of STORED_SETTINGS) {
+    const value = stored[key];
+    if (value != null && typeof value === typeof SETTINGS_DEFAULTS[key]) settings[key] = value;
+  }
+  if (!THEMES.includes(settings.theme)) settings.theme = SETTINGS_DEFAULTS.theme;
+  // Numbers stay within the range of their form field
+  for (const key of STORED_SETTINGS) {
+    const input = settingsForm.elements[key];
+    if (!input || input.type !== 'number') continue;
+    const value = Number.isFinite(settings[key]) ? Math.round(settings[key]) : SETTINGS_DEFAULTS[key];
+    settings[key] = Math.min(Number(input.max), Math.max(Number(input.min), value));
+  }
+  if (![2, 4, 8].includes(settings.indentSize)) settings.indentSize = SETTINGS_DEFAULTS.indentSize;
+  const keymap = {};
+  for (const [id, combos] of Object.entries(settings.keymap)) {
+    if (ACTIONS[id] && Array.isArray(combos) && combos.every(c => typeof c === 'string')) keymap[id] = combos;
+  }
+  settings.keymap = keymap;
+}
+function saveSettings() {
+  const stored = Object.fromEntries(STORED_SETTINGS.map(key => [key, settings[key]]));
+  try { localStorage.setItem(SETTINGS_KEY, JSON.stringify(stored)); } catch (_) {}
+}
+function applySettings() {
+  const root = document.documentElement;
+  root.dataset.theme = settings.theme;
+  root.style.setProperty('--code-font-size', `${settings.fontSize}px`);
+  root.style.setProperty('--tab-size', String(settings.indentSize));
+  const exportKeys = bindingsOf('export');
+  exportBtn.title = exportKeys.length ? exportKeys.map(comboLabel).join(' / ') : '';
+}
+
+function renderSettings() {
+  for (const input of settingsForm.elements) {
+    if (!input.name) continue;
+    if (input.type === 'checkbox') input.checked = settings[input.name];
+    else input.value = String(settings[input.name]);
+  }
+  renderKeymap();
+}
+function renderKeymap() {
+  keymapTable.textContent = '';
+  for (const [id, action] of Object.entries(ACTIONS)) {
+    const combos = bindingsOf(id);
+    const row = el('tr', settings.keymap[id] ? 'custom' : '');
+    const keys = el('button', 'key-btn', combos.length ? combos.map(comboLabel).join(' / ') : 'None');
+    keys.type = 'button';
+    keys.dataset.action = id;
+    keys.title = 'Click, then press the new shortcut';
+    const reset = el('button', 'icon-btn', '↺');
+    reset.type = 'button';
+    reset.dataset.reset = id;
+    reset.title = 'Reset to default';
+    reset.hidden = !settings.keymap[id];
+    const label = el('td', null, action.label);
+    const cell = el('td');
+    cell.append(keys, reset);
+    row.append(label, cell);
+    keymapTable.append(row);
+  }
+}
+// Rebind an action; combos equal to the defaults drop the override
+function setBinding(id, combos) {
+  if (JSON.stringify(combos) === JSON.stringify(ACTIONS[id].keys)) delete settings.keymap[id];
+  else settings.keymap[id] = combos;
+  saveSettings();
+  applySettings();
+  renderKeymap();
+}
+
+function showSettings(show) {
+  settingsPanel.hidden = !show;
+  settingsBtn.setAttribute('aria-pressed', String(show));
+  if (show) renderSettings();
+}
+settingsBtn.addEventListener('click', () => showSettings(settingsPanel.hidden));
+settingsCloseBtn.addEventListener('click', () => showSettings(false));
+settingsPanel.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') { showSettings(false); settingsBtn.focus(); }
+});
+settingsForm.addEventListener('submit', (e) => e.preventDefault());
+settingsForm.addEventListener('change', (e) => {
+  const input = e.target;
+  if (!input.name || !(input.name in settings)) return;
+  if (input.type === 'checkbox') settings[input.name] = input.checked;
+  else if (typeof SETTINGS_DEFAULTS[input.name] === 'number') {
+    const value = input.value.trim() ? Number(input.value) : NaN; // an emptied field is not 0
+    if (!Number.isFinite(value)) { input.value = String(settings[input.name]); return; }
+    settings[input.name] = input.type === 'number' ? Math.min(Number(input.max), Math.max(Number(input.min), Math.round(value))) : value;
+    input.value = String(settings[input.name]);
+  } else settings[input.name] = input.value;
+  saveSettings();
+  applySettings();
+});
+
+// Keymap editor: a clicked shortcut button records the next key combo
+keymapTable.addEventListener('click', (e) => {
+  const reset = e.target.closest('[data-reset]');
+  if (reset) { setBinding(reset.dataset.reset, ACTIONS[reset.dataset.reset].keys.slice()); return; }
+  const button = e.target.closest('.key-btn');
+  if (!button) return;
+  renderKeymap();
+  const fresh = keymapTable.querySelector(`.key-btn[data-action="${button.dataset.action}"]`);
+  fresh.classList.add('recording');
+  fresh.textContent = 'Press keys…';
+  fresh.focus();
+});
+keymapTable.addEventListener('focusout', (e) => {
+  if (e.target.classList.contains('recording')) renderKeymap();
+});
+// Runs before the global shortcut handler, which must not see the keys being recorded
+keymapTable.addEventListener('keydown', (e) => {
+  const button = e.target.closest('.key-btn.recording');
+  if (!button) return;
+  e.preventDefault();
+  e.stopPropagation();
+  if (['Shift', 'Control', 'Meta', 'Alt', 'CapsLock'].includes(e.key)) return;
+  const id = button.dataset.action;
+  const plain = !e.ctrlKey && !e.metaKey && !e.altKey;
+  if (e.key === 'Escape' && plain) { renderKeymap(); return; }
+  if ((e.key === 'Backspace' || e.key === 'Delete') && plain) { setBinding(id, []); return; }
+  if (plain) { button.textContent = 'Add Ctrl / ⌘ or Alt…'; return; }
+  const combo = comboOf(e);
+  const clash = Object.keys(ACTIONS).find(other => other !== id && bindingsOf(other).includes(combo));
+  if (clash) {
+    if (!confirm(`${comboLabel(combo)} is already used for "${ACTIONS[clash].label}". Move it to "${ACTIONS[id].label}"?`)) { renderKeymap(); return; }
+    setBinding(clash, bindingsOf(clash).filter(c => c !== combo));
   }
+  setBinding(id, [combo]);
+});
+resetKeymapBtn.addEventListener('click', () => {
+  if (!Object.keys(settings.keymap).length) return;
+  if (!confirm('Reset all keyboard shortcuts to their defaults?')) return;
+  settings.keymap = {};
+  saveSettings();
+  applySettings();
+  renderKeymap();
+});
+resetSettingsBtn.addEventListener('click', () => {
+  if (!confirm('Restore the default theme, editor, run limit and keyboard settings?')) return;
+  for (const key of STORED_SETTINGS) settings[key] = structuredClone(SETTINGS_DEFAULTS[key]);
+  saveSettings();
+  applySettings();
+  renderSettings();
 });
+loadSettings();
+applySettings();
 
 // Toggle line comment for current selection / line
 function toggleComment(){
@@ -221,67 +2572,602 @@ function toggleComment(){
   }).join('\n');
   const before = value.slice(0, lineStart);
   const after = value.slice(lineEnd);
+  recordEdit();
   editor.value = before + updated + after;
   // 調整選取範圍：保留整個更新後區塊
   editor.selectionStart = lineStart;
   editor.selectionEnd = lineStart + updated.length;
-  if (autoRunEl.checked) run();
-  scheduleHighlight();
+  editorChanged();
 }
 
 // --- Syntax Highlighting ---
-function highlight(code) {
-  if (!code) return '';
-  // 先 escape html，避免任何字元被破壞
-  code = code.replace(/[&<>]/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;'}[c]));
-  // 用一個陣列存所有 token
-  const tokens = [];
-  // helper: 產生唯一 placeholder
-  let tid = 0;
-  function mark(type, val) {
-    const id = `__TOK${tid++}__`;
-    tokens.push({id, type, val});
-    return id;
-  }
-  // block comments
-  code = code.replace(/\/\*[\s\S]*?\*\//g, m => mark('com', m));
-  // line comments
-  code = code.replace(/(^|\n)(\s*\/\/.*)/g, (m, p1, c) => p1 + mark('com', c));
-  // strings (允許任意非結尾引號的字元，包括中文)
-  code = code.replace(/(["'`])((?:[^\\\1\r\n]|\\[\s\S])*)\1/g, (m, q, body) => mark('str', q + body + q));
-  // numbers
-  code = code.replace(/\b(0x[0-9a-fA-F]+|\d+(?:\.\d+)?(?:e[+-]?\d+)?)\b/g, m => mark('num', m));
-  // keywords
-  code = code.replace(/\b(const|let|var|function|return|if|else|for|while|break|continue|switch|case|default|try|catch|finally|throw|new|class|extends|super|import|from|export|async|await|yield|in|of|delete|typeof|instanceof)\b/g, m => mark('kw', m));
-  // builtins
-  code = code.replace(/\b(console|Math|Date|JSON|Array|Object|Promise|window|document|Error|Number|String|Boolean|Set|Map)\b/g, m => mark('bi', m));
-  // 最後再把 token 還原成 span
+const KEYWORDS = new Set(['const', 'let', 'var', 'function', 'return', 'if', 'else', 'for', 'while', 'do', 'break', 'continue', 'switch', 'case', 'default', 'try', 'catch', 'finally', 'throw', 'new', 'class', 'extends', 'super', 'this', 'import', 'from', 'export', 'async', 'await', 'yield', 'in', 'of', 'delete', 'typeof', 'instanceof', 'void', 'static', 'get', 'set', 'null', 'undefined', 'true', 'false', 'debugger', 'with']);
+const BUILTINS = new Set(['console', 'Math', 'Date', 'JSON', 'Array', 'Object', 'Promise', 'window', 'document', 'Error', 'Number', 'String', 'Boolean', 'Set', 'Map', 'Symbol', 'RegExp', 'BigInt', 'Reflect', 'Proxy', 'WeakMap', 'WeakSet', 'Intl', 'globalThis']);
+// Extra keywords in TypeScript and JSX (TSX) mode
+const TS_KEYWORDS = new Set(['type', 'interface', 'enum', 'namespace', 'module', 'declare', 'abstract', 'implements', 'private', 'protected', 'public', 'readonly', 'override', 'as', 'satisfies', 'keyof', 'infer', 'is', 'asserts', 'unique', 'any', 'unknown', 'never', 'string', 'number', 'boolean', 'bigint', 'symbol', 'object']);
+const TOKEN_CLASS = { comment: 'tok-com', string: 'tok-str', template: 'tok-str', number: 'tok-num', regex: 'tok-regex', interp: 'tok-interp', tag: 'tok-tag' };
+const escapeHtml = (text) => text.replace(/[&<>]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' }[c]));
+
+// Render one line. `marks` are decorations ({ start, end, cls }) layered over the token spans;
+// zero-width marks are emitted as empty spans at their position.
+function renderLineHtml(line, tokens, marks = []) {
+  const spans = [];
+  let pos = 0;
+  let prev = null;
   for (const t of tokens) {
-    let html = '';
-    switch(t.type) {
-      case 'com': html = `<span class="tok-com">${t.val}</span>`; break;
-      case 'str': html = `<span class="tok-str">${t.val}</span>`; break;
-      case 'num': html = `<span class="tok-num">${t.val}</span>`; break;
-      case 'kw': html = `<span class="tok-kw">${t.val}</span>`; break;
-      case 'bi': html = `<span class="tok-builtin">${t.val}</span>`; break;
-      default: html = t.val;
+    if (t.start > pos) spans.push({ start: pos, end: t.start, cls: '' });
+    let cls = TOKEN_CLASS[t.type] || '';
+    // Names after `.` are property accesses, never keywords (obj.new, map.set)
+    if (t.type === 'name' && !(prev && (prev.value === '.' || prev.value === '?.'))) {
+      const keyword = KEYWORDS.has(t.value) || (langSelect.value !== 'js' && TS_KEYWORDS.has(t.value));
+      cls = keyword ? 'tok-kw' : BUILTINS.has(t.value) ? 'tok-builtin' : '';
+    }
+    spans.push({ start: t.start, end: t.end, cls });
+    pos = t.end;
+    if (t.type !== 'comment') prev = t;
+  }
+  if (pos < line.length) spans.push({ start: pos, end: line.length, cls: '' });
+  const wrap = (cls, text) => (cls ? `<span class="${cls}">${escapeHtml(text)}</span>` : escapeHtml(text));
+  if (!marks.length) return spans.map(sp => wrap(sp.cls, line.slice(sp.start, sp.end))).join('');
+
+  const cuts = new Set([0, line.length]);
+  for (const sp of spans) cuts.add(sp.start);
+  for (const m of marks) { cuts.add(Math.min(m.start, line.length)); cuts.add(Math.min(m.end, line.length)); }
+  const points = [...cuts].sort((x, y) => x - y);
+  let html = '';
+  let k = 0;
+  points.forEach((p, idx) => {
+    for (const m of marks) if (m.start === m.end && Math.min(m.start, line.length) === p) html += `<span class="${m.cls}"></span>`;
+    const next = points[idx + 1];
+    if (next === undefined) return;
+    while (k < spans.length - 1 && spans[k].end <= p) k++;
+    const classes = [spans[k] && spans[k].start <= p ? spans[k].cls : ''];
+    for (const m of marks) if (m.start <= p && m.end >= next && m.start !== m.end) classes.push(m.cls);
+    html += wrap(classes.filter(Boolean).join(' '), line.slice(p, next));
+  });
+  return html;
+}
+
+// --- Error Markers ---
+// Errors reported by the last run, keyed by 1-based editor line: { column, message }
+const errorMarkers = new Map();
+function clearErrorMarkers() {
+  if (!errorMarkers.size) return;
+  errorMarkers.clear();
+  scheduleHighlight();
+}
+function addErrorMarker(line, column, message) {
+  if (errorMarkers.has(line)) return;
+  errorMarkers.set(line, { column, message });
+  scheduleHighlight();
+}
+// Cheap key of everything that decorates line `index`; a change forces the line to re-render
+function decorationKey(index) {
+  const marker = errorMarkers.get(index + 1);
+  const overlay = overlayByLine.get(index);
+  return (marker ? `e${marker.column}` : '') + (overlay ? overlay.key : '');
+}
+// Line class and marks for line `index`: overlay marks (find matches, extra cursors), and for an
+// error the failing line is flagged and the token at the error column gets a squiggle (the rest
+// of the line if the column is past the last token)
+function lineDecorations(index, text, tokens) {
+  const overlay = overlayByLine.get(index);
+  const marks = overlay ? overlay.marks.slice() : [];
+  const marker = errorMarkers.get(index + 1);
+  if (!marker) return { cls: '', marks };
+  const col = Math.max(0, marker.column - 1);
+  const token = tokens.find(t => t.end > col);
+  const first = text.search(/\S/);
+  const start = token ? Math.max(token.start, Math.min(col, token.end - 1)) : Math.max(first, 0);
+  const end = token ? token.end : text.length;
+  if (end > start) marks.push({ start, end, cls: 'err-squiggle' });
+  return { cls: 'error-line', marks };
+}
+
+// Scroll the editor so 1-based `line` is visible (a third from the top when it was not)
+function revealLine(line) {
+  refreshHighlight();
+  const entry = hlLines[line - 1];
+  if (!entry || !entry.el) return;
+  const top = entry.el.offsetTop;
+  if (top < editor.scrollTop || top + entry.el.offsetHeight > editor.scrollTop + editor.clientHeight) {
+    editor.scrollTop = Math.max(0, top - editor.clientHeight / 3);
+  }
+}
+const lineOfOffset = (offset) => editor.value.slice(0, offset).split('\n').length;
+
+// Caret to a 1-based line/column, scrolling the line into view
+function jumpToLocation(line, column = 1) {
+  const lines = editor.value.split('\n');
+  if (!line || line > lines.length) return;
+  let offset = 0;
+  for (let l = 0; l < line - 1; l++) offset += lines[l].length + 1;
+  offset += Math.min(Math.max(column - 1, 0), lines[line - 1].length);
+  editor.focus();
+  editor.setSelectionRange(offset, offset);
+  revealLine(line);
+}
+
+// --- Undo History ---
+// Editor-level undo/redo. Most editor commands rewrite the textarea from script, which the
+// browser's native undo stack does not track (assigning `value` even clears it), so every edit
+// records a snapshot of the buffer and selection before it changes. Native typing is coalesced
+// into one step per burst. Each snippet keeps its own history for the session.
+const HISTORY_LIMIT = 200;
+const TYPING_BURST_MS = 1000;
+const undoHistories = new Map(); // snippet id -> { undo, redo, burst }
+let undoHistory = { undo: [], redo: [], burst: null };
+function useUndoHistory(id) {
+  if (!undoHistories.has(id)) undoHistories.set(id, { undo: [], redo: [], burst: null });
+  undoHistory = undoHistories.get(id);
+}
+
+// `fields` (the other snippet fields: import map, HTML, CSS, language) is only kept for steps that
+// replace them too, since edits in those inputs are not recorded themselves
+function editorSnapshot(withFields = false) {
+  const snapshot = { value: editor.value, start: editor.selectionStart, end: editor.selectionEnd };
+  if (withFields) {
+    const { code, ...fields } = editorFields();
+    snapshot.fields = fields;
+  }
+  return snapshot;
+}
+const snapshotApplied = (entry) => entry.value === editor.value &&
+  (!entry.fields || Object.entries(entry.fields).every(([field, value]) => SNIPPET_EDITORS[field].value === value));
+// Record an undo step before an edit. An edit of the same `kind` ('insert' / 'delete') that
+// continues the last burst at its caret joins the previous step instead. `withFields` is for
+// edits that also replace the other snippet fields.
+function recordEdit(kind = null, withFields = false) {
+  const burst = undoHistory.burst;
+  undoHistory.burst = null;
+  if (kind && burst && burst.kind === kind && Date.now() - burst.at < TYPING_BURST_MS &&
+      editor.selectionStart === burst.caret && editor.value === burst.value) return;
+  undoHistory.undo.push(editorSnapshot(withFields));
+  if (undoHistory.undo.length > HISTORY_LIMIT) undoHistory.undo.shift();
+  undoHistory.redo = [];
+}
+// Called after an edit of `kind` so the next one can join its step
+function continueBurst(kind) {
+  undoHistory.burst = { kind, at: Date.now(), caret: editor.selectionEnd, value: editor.value };
+}
+function stepHistory(from, to) {
+  let entry = from.pop();
+  while (entry && snapshotApplied(entry) && from.length) entry = from.pop(); // steps that changed nothing
+  if (!entry) return;
+  to.push(editorSnapshot(!!entry.fields));
+  undoHistory.burst = null;
+  editor.value = entry.value;
+  editor.setSelectionRange(entry.start, entry.end);
+  if (entry.fields) {
+    for (const [field, value] of Object.entries(entry.fields)) SNIPPET_EDITORS[field].value = value;
+    applyLanguage();
+  }
+  editorChanged();
+  revealLine(lineOfOffset(entry.start));
+}
+const undo = () => stepHistory(undoHistory.undo, undoHistory.redo);
+const redo = () => stepHistory(undoHistory.redo, undoHistory.undo);
+
+// Native edits: record before the browser applies them; its own undo/redo is replaced by ours
+const INPUT_KINDS = { insertText: 'insert', insertCompositionText: 'insert', deleteContentBackward: 'delete', deleteContentForward: 'delete', deleteWordBackward: 'delete', deleteWordForward: 'delete' };
+editor.addEventListener('beforeinput', (e) => {
+  if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
+    e.preventDefault();
+    if (e.inputType === 'historyUndo') undo(); else redo();
+    return;
+  }
+  recordEdit(INPUT_KINDS[e.inputType]);
+});
+editor.addEventListener('input', (e) => {
+  const kind = INPUT_KINDS[e.inputType];
+  if (kind) continueBurst(kind);
+});
+
+// --- Find & Replace ---
+// Ctrl+F / Ctrl+H open the find bar above the editor. Matches are searched in the whole buffer
+// and drawn in the highlight overlay; the current match is also the textarea selection, so
+// closing the bar leaves it selected.
+const FIND_LIMIT = 10000;
+// `query` and `value` are what `matches` were computed from; `anchor` is the offset the current
+// match is chosen from after a recompute (the first match at or after it)
+const find = { open: false, matches: [], current: -1, anchor: 0, error: '', query: null, value: null };
+
+function findRegExp() {
+  const query = findInput.value;
+  if (!query) return null;
+  let source = findRegexEl.checked ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (findWordEl.checked) source = `(?<![\\w$])(?:${source})(?![\\w$])`;
+  return new RegExp(source, findCaseEl.checked ? 'gm' : 'gim');
+}
+// Recompute the matches if the query, its options or the buffer changed since the last call
+function syncFind() {
+  const query = find.open ? JSON.stringify([findInput.value, findRegexEl.checked, findCaseEl.checked, findWordEl.checked]) : null;
+  if (query === find.query && editor.value === find.value) return;
+  find.query = query;
+  find.value = editor.value;
+  find.matches = [];
+  find.error = '';
+  if (query) {
+    try {
+      const re = findRegExp();
+      for (let m; re && find.matches.length < FIND_LIMIT && (m = re.exec(find.value));) {
+        if (!m[0]) { re.lastIndex++; continue; } // empty matches cannot be shown or replaced
+        find.matches.push({ start: m.index, end: m.index + m[0].length });
+      }
+    } catch (err) {
+      find.error = err.message;
+    }
+  }
+  find.current = find.matches.findIndex(m => m.start >= find.anchor);
+  if (find.current === -1 && find.matches.length) find.current = 0;
+  renderFindCount();
+}
+function renderFindCount() {
+  const count = find.matches.length;
+  let text = '';
+  if (find.error) text = 'Invalid regex';
+  else if (findInput.value) text = count ? `${find.current + 1} of ${count}${count >= FIND_LIMIT ? '+' : ''}` : 'No results';
+  findCountEl.textContent = text;
+  findCountEl.title = find.error;
+  findBar.classList.toggle('no-match', !!findInput.value && !count);
+}
+// Select the current match in the textarea (without taking focus) and scroll it into view
+function selectCurrentMatch() {
+  const match = find.matches[find.current];
+  if (!match) return;
+  editor.setSelectionRange(match.start, match.end);
+  revealLine(lineOfOffset(match.start));
+}
+function findStep(delta) {
+  syncFind();
+  const count = find.matches.length;
+  if (!count) return;
+  find.current = (find.current + delta + count) % count;
+  find.anchor = find.matches[find.current].start;
+  renderFindCount();
+  selectCurrentMatch();
+}
+// Expand `$$`, `$&`, `` $` ``, `$'`, `$1`…`$99` and `$<name>` in a replacement template the way
+// String.prototype.replace does, for the exec() result `m`
+function expandReplacement(template, m) {
+  return template.replace(/\$(?:([$&`'])|(\d\d?)|<([^>]*)>)/g, (token, symbol, digits, name) => {
+    if (symbol === '$') return '$';
+    if (symbol === '&') return m[0];
+    if (symbol === '`') return m.input.slice(0, m.index);
+    if (symbol === "'") return m.input.slice(m.index + m[0].length);
+    if (name !== undefined) return m.groups ? m.groups[name] ?? '' : token;
+    const group = (n) => n >= 1 && n < m.length;
+    if (group(+digits)) return m[+digits] ?? '';
+    if (digits.length === 2 && group(+digits[0])) return (m[+digits[0]] ?? '') + digits[1];
+    return token;
+  });
+}
+// Replacement text for `match`; in regex mode the match is re-run in place (a sticky regex at its
+// offset), so lookarounds see the whole buffer
+function replacementFor(match) {
+  if (!findRegexEl.checked) return replaceInput.value;
+  const re = findRegExp();
+  const sticky = new RegExp(re.source, re.flags.replace('g', '') + 'y');
+  sticky.lastIndex = match.start;
+  return expandReplacement(replaceInput.value, sticky.exec(find.value));
+}
+function replaceCurrent() {
+  syncFind();
+  const match = find.matches[find.current];
+  if (!match) return;
+  const text = replacementFor(match);
+  recordEdit();
+  editor.setRangeText(text, match.start, match.end);
+  find.anchor = match.start + text.length;
+  editorChanged();
+  syncFind();
+  selectCurrentMatch();
+}
+function replaceAll() {
+  syncFind();
+  if (!find.matches.length) return;
+  const re = findRegExp();
+  const value = editor.value;
+  // The matches of syncFind(), empty ones skipped, but without its limit
+  let next = '';
+  let pos = 0;
+  for (let m; (m = re.exec(value));) {
+    if (!m[0]) { re.lastIndex++; continue; }
+    next += value.slice(pos, m.index) + (findRegexEl.checked ? expandReplacement(replaceInput.value, m) : replaceInput.value);
+    pos = m.index + m[0].length;
+  }
+  next += value.slice(pos);
+  const from = find.matches[0].start;
+  recordEdit();
+  editor.setRangeText(next.slice(from), from, value.length);
+  find.anchor = from;
+  editorChanged();
+}
+
+function openFind(withReplace) {
+  if (!jsTab.classList.contains('active')) jsTab.click();
+  const selected = editor.value.slice(editor.selectionStart, editor.selectionEnd);
+  if (selected && !selected.includes('\n')) findInput.value = selected;
+  find.open = true;
+  find.anchor = editor.selectionStart;
+  findBar.hidden = false;
+  replaceRow.hidden = !withReplace;
+  const input = withReplace && findInput.value ? replaceInput : findInput;
+  input.focus();
+  input.select();
+  syncFind();
+  scheduleHighlight();
+}
+function closeFind() {
+  if (!find.open) return;
+  find.open = false;
+  findBar.hidden = true;
+  syncFind();
+  scheduleHighlight();
+}
+
+findBar.addEventListener('submit', (e) => e.preventDefault());
+findBar.addEventListener('input', (e) => {
+  if (e.target === replaceInput) return;
+  find.anchor = editor.selectionStart;
+  syncFind();
+  selectCurrentMatch();
+});
+findBar.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    closeFind();
+    editor.focus();
+  } else if (e.key === 'Enter' && e.target === findInput) {
+    e.preventDefault();
+    findStep(e.shiftKey ? -1 : 1);
+  } else if (e.key === 'Enter' && e.target === replaceInput) {
+    e.preventDefault();
+    if (e.ctrlKey || e.metaKey || e.altKey) replaceAll(); else replaceCurrent();
+  }
+});
+findBar.addEventListener('click', (e) => {
+  const button = e.target.closest('button[data-find]');
+  if (!button) return;
+  const action = button.dataset.find;
+  if (action === 'next') findStep(1);
+  else if (action === 'prev') findStep(-1);
+  else if (action === 'replace') replaceCurrent();
+  else if (action === 'replaceAll') replaceAll();
+  else if (action === 'close') { closeFind(); editor.focus(); }
+});
+
+// --- Multiple Cursors ---
+// The textarea has one native selection, the primary one. Ctrl+D adds the next occurrence of the
+// selected text as an extra selection (drawn in the overlay); typed characters, Backspace/Delete,
+// Enter and paste then apply to every selection. Escape, a click, navigation keys or any other
+// edit go back to a single cursor.
+// `value` is the buffer the extra selections belong to; they are dropped once it changes.
+// `word` is the range the last word expansion selected; `wholeWord` whether occurrences must be
+// whole words (true when the search started from such an expansion).
+const cursors = { extra: [], value: null, word: null, wholeWord: false };
+function clearCursors() {
+  if (!cursors.extra.length) return;
+  cursors.extra = [];
+  scheduleHighlight();
+}
+function selectNextOccurrence() {
+  const { value, selectionStart: start, selectionEnd: end } = editor;
+  if (editor.value !== cursors.value) cursors.extra = [];
+  cursors.value = value;
+  if (start === end) {
+    // First press selects the word at the caret; further presses then match whole words only
+    const before = value.slice(0, start).match(/[\w$]*$/)[0];
+    const after = value.slice(end).match(/^[\w$]*/)[0];
+    if (!before && !after) return;
+    editor.setSelectionRange(start - before.length, end + after.length);
+    cursors.word = { start: start - before.length, end: end + after.length };
+    scheduleHighlight();
+    return;
+  }
+  const text = value.slice(start, end);
+  if (!cursors.extra.length) cursors.wholeWord = !!cursors.word && cursors.word.start === start && cursors.word.end === end;
+  const taken = [{ start, end }, ...cursors.extra];
+  const isFree = (pos) => {
+    if (cursors.wholeWord && (/[\w$]/.test(value[pos - 1] || '') || /[\w$]/.test(value[pos + text.length] || ''))) return false;
+    return !taken.some(sel => pos < sel.end && pos + text.length > sel.start);
+  };
+  let pos = value.indexOf(text, end);
+  while (pos !== -1 && !isFree(pos)) pos = value.indexOf(text, pos + 1);
+  if (pos === -1) { // wrap around
+    pos = value.indexOf(text);
+    while (pos !== -1 && pos < start && !isFree(pos)) pos = value.indexOf(text, pos + 1);
+    if (pos === -1 || pos >= start) return;
+  }
+  cursors.extra.push({ start, end });
+  editor.setSelectionRange(pos, pos + text.length);
+  revealLine(lineOfOffset(pos));
+  scheduleHighlight();
+}
+// Apply `edit(selection, value)` -> { start, end, text } to every selection at once; afterwards
+// each selection is a caret after its inserted text. `kind` is the undo burst kind, if any.
+function editAllSelections(edit, kind = null) {
+  recordEdit(kind);
+  const value = editor.value;
+  const primary = { start: editor.selectionStart, end: editor.selectionEnd, primary: true };
+  const selections = [primary, ...cursors.extra].sort((a, b) => a.start - b.start);
+  let next = '';
+  let pos = 0;
+  let from = -1;
+  const carets = [];
+  for (const sel of selections) {
+    const range = edit(sel, value);
+    if (range.start < pos) continue; // overlaps the previous edit
+    if (from === -1) from = range.start;
+    next += value.slice(pos, range.start) + range.text;
+    pos = range.end;
+    carets.push({ offset: next.length, primary: sel.primary });
+  }
+  next += value.slice(pos);
+  // Only the span between the first and last edit is rewritten
+  editor.setRangeText(next.slice(from, next.length - (value.length - pos)), from, pos);
+  const main = carets.find(c => c.primary) || carets[carets.length - 1];
+  editor.setSelectionRange(main.offset, main.offset);
+  const seen = new Set([main.offset]);
+  cursors.extra = [];
+  for (const c of carets) {
+    if (seen.has(c.offset)) continue;
+    seen.add(c.offset);
+    cursors.extra.push({ start: c.offset, end: c.offset });
+  }
+  cursors.value = editor.value;
+  if (kind) continueBurst(kind);
+  editorChanged();
+}
+const insertAtSelections = (text) => (sel) => ({ start: sel.start, end: sel.end, text });
+
+// Capture phase: runs before the single-cursor key handlers below and stops them
+editor.addEventListener('keydown', (e) => {
+  if (!cursors.extra.length || e.isComposing) return;
+  if (editor.value !== cursors.value) { clearCursors(); return; }
+  if (['Shift', 'Control', 'Meta', 'Alt', 'CapsLock'].includes(e.key)) return;
+  if (e.ctrlKey || e.metaKey || e.altKey) {
+    if (!matchesAction(e, 'nextOccurrence') && e.key.toLowerCase() !== 'c') clearCursors();
+    return;
+  }
+  let edit;
+  let kind = null;
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    clearCursors();
+    return;
+  } else if (e.key === 'Backspace') {
+    kind = 'delete';
+    edit = (sel) => ({ start: sel.start === sel.end ? Math.max(0, sel.start - 1) : sel.start, end: sel.end, text: '' });
+  } else if (e.key === 'Delete') {
+    kind = 'delete';
+    edit = (sel, value) => ({ start: sel.start, end: sel.start === sel.end ? Math.min(value.length, sel.end + 1) : sel.end, text: '' });
+  } else if (e.key === 'Enter') {
+    edit = (sel, value) => ({ start: sel.start, end: sel.end, text: '\n' + value.slice(value.lastIndexOf('\n', sel.start - 1) + 1, sel.start).match(/^[ \t]*/)[0] });
+  } else if (e.key.length === 1) {
+    kind = 'insert';
+    edit = insertAtSelections(e.key);
+  } else {
+    clearCursors(); // arrows, Home/End, Tab...: back to one cursor
+    return;
+  }
+  e.preventDefault();
+  e.stopImmediatePropagation();
+  editAllSelections(edit, kind);
+}, true);
+editor.addEventListener('paste', (e) => {
+  if (!cursors.extra.length || editor.value !== cursors.value) return;
+  e.preventDefault();
+  e.stopImmediatePropagation();
+  editAllSelections(insertAtSelections((e.clipboardData || window.clipboardData).getData('text')));
+}, true);
+editor.addEventListener('mousedown', clearCursors);
+
+// Overlay marks from find matches and extra selections, by line index: { marks, key }
+let overlayByLine = new Map();
+function buildOverlay(texts) {
+  if (cursors.extra.length && editor.value !== cursors.value) cursors.extra = [];
+  const ranges = find.matches.map((m, i) => [m.start, m.end, i === find.current ? 'find-match find-current' : 'find-match']);
+  for (const sel of cursors.extra) {
+    if (sel.end > sel.start) ranges.push([sel.start, sel.end, 'multi-sel']);
+    ranges.push([sel.end, sel.end, 'multi-caret']);
+  }
+  const byLine = new Map();
+  if (!ranges.length) return byLine;
+  const starts = [];
+  let offset = 0;
+  for (const text of texts) { starts.push(offset); offset += text.length + 1; }
+  const lineAt = (pos) => {
+    let lo = 0, hi = starts.length - 1;
+    while (lo < hi) { const mid = (lo + hi + 1) >> 1; if (starts[mid] <= pos) lo = mid; else hi = mid - 1; }
+    return lo;
+  };
+  for (const [start, end, cls] of ranges) {
+    for (let line = lineAt(start); line < texts.length && (starts[line] < end || line === lineAt(start)); line++) {
+      const mark = { start: Math.max(start - starts[line], 0), end: Math.min(end - starts[line], texts[line].length), cls };
+      if (!byLine.has(line)) byLine.set(line, { marks: [], key: '' });
+      const entry = byLine.get(line);
+      entry.marks.push(mark);
+      entry.key += `|${mark.start}-${mark.end}${cls}`;
     }
-    // 注意：token 內容已經 escape 過 html，不會有 XSS
-    code = code.split(t.id).join(html);
   }
-  return code;
+  return byLine;
+}
+
+// One cache entry per editor line: its text, lexer start/end state, decorations, rendered HTML
+// and the <span class="hl-line"> block showing it.
+let hlLines = [];
+function highlightEntry(text, state, index) {
+  const { tokens, state: end } = lexLine(text, state, langSelect.value === 'jsx');
+  const deco = lineDecorations(index, text, tokens);
+  return { text, start: state, key: lexStateKey(state), end, decoKey: decorationKey(index), cls: deco.cls, html: renderLineHtml(text, tokens, deco.marks), el: null };
+}
+function lineElement(entry) {
+  if (!entry.el) entry.el = el('span');
+  entry.el.className = entry.cls ? `hl-line ${entry.cls}` : 'hl-line';
+  entry.el.innerHTML = entry.html;
+  return entry.el;
 }
 
+// Re-highlight incrementally: lines shared with the previous render at the start (same text) and
+// at the end (same text and same start state) are kept; only the edited block is re-lexed, plus
+// any line whose decorations changed.
 function refreshHighlight(){
   if(!highlightEl) return;
-  const code = editor.value.endsWith('\n') ? editor.value + ' ' : editor.value;
-  highlightEl.innerHTML = '<code>' + highlight(code) + '</code>';
+  let codeEl = highlightEl.firstElementChild;
+  if (!codeEl) { codeEl = el('code'); highlightEl.append(codeEl); }
+  const texts = editor.value.split('\n');
+  syncFind();
+  overlayByLine = buildOverlay(texts);
+  const old = hlLines;
+  const max = Math.min(old.length, texts.length);
+  let prefix = 0;
+  while (prefix < max && old[prefix].text === texts[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < max - prefix && old[old.length - 1 - suffix].text === texts[texts.length - 1 - suffix]) suffix++;
+
+  const next = old.slice(0, prefix);
+  let state = prefix ? old[prefix - 1].end : LEX_START;
+  for (const entry of old.slice(prefix, old.length - suffix)) entry.el.remove();
+  const anchor = suffix ? old[old.length - suffix].el : null;
+  for (let i = prefix; i < texts.length - suffix; i++) {
+    const entry = highlightEntry(texts[i], state, i);
+    codeEl.insertBefore(lineElement(entry), anchor);
+    next.push(entry);
+    state = entry.end;
+  }
+  for (const entry of old.slice(old.length - suffix)) {
+    if (entry.key !== lexStateKey(state)) {
+      const fresh = highlightEntry(entry.text, state, next.length);
+      fresh.el = entry.el;
+      lineElement(fresh);
+      next.push(fresh);
+    } else {
+      next.push(entry);
+    }
+    state = next[next.length - 1].end;
+  }
+  next.forEach((entry, i) => {
+    if (entry.decoKey === decorationKey(i)) return;
+    const fresh = highlightEntry(entry.text, entry.start, i);
+    fresh.el = entry.el;
+    lineElement(fresh);
+    next[i] = fresh;
+  });
+  hlLines = next;
   highlightEl.scrollTop = editor.scrollTop;
   highlightEl.scrollLeft = editor.scrollLeft;
 }
 
 let highlightPending = false;
 
+// Drop the line cache, e.g. when the language changes how every line is lexed
+function resetHighlight() {
+  for (const entry of hlLines) entry.el.remove();
+  hlLines = [];
+  scheduleHighlight();
+}
+
 function scheduleHighlight(){
   if(highlightPending) return;
   highlightPending = true;
@@ -297,12 +3183,384 @@ editor.addEventListener('scroll', () => {
 });
 refreshHighlight();
 
-// Handle Tab indentation inside textarea (insert 4 spaces; support multi-line & Shift+Tab)
+// --- Autocomplete ---
+// Suggestions for the word at the caret: keywords, names declared in the buffer, built-ins and,
+// after a dot, the members of the object before it. Members and globals of the last run are
+// introspected from the sandbox and merged in when they arrive. ↑/↓ pick, Tab/Enter accept,
+// Escape closes, and the `suggest` shortcut (Ctrl+Space) opens the list on demand. Inside a call,
+// a hint shows the callee's parameters with the current argument highlighted.
+// Items are { name, kind: 'keyword' | 'function' | 'class' | 'variable' | 'method' | 'property', params }
+const MAX_SUGGESTIONS = 50;
+const KIND_ICONS = { keyword: 'k', function: 'ƒ', method: 'ƒ', class: 'C', variable: 'v', property: 'p' };
+// Parameter lists for built-ins, whose native code does not reveal them
+const BUILTIN_SIGNATURES = {
+  'console.log': '...data', 'console.info': '...data', 'console.warn': '...data', 'console.error': '...data', 'console.debug': '...data',
+  'console.table': 'data, columns?', 'console.assert': 'condition, ...data', 'console.dir': 'item', 'console.trace': '...data',
+  'console.group': '...label', 'console.groupCollapsed': '...label', 'console.time': 'label?', 'console.timeLog': 'label?, ...data',
+  'console.timeEnd': 'label?', 'console.count': 'label?', 'console.countReset': 'label?',
+  'Math.max': '...values', 'Math.min': '...values', 'Math.hypot': '...values', 'Math.pow': 'x, y', 'Math.atan2': 'y, x',
+  'Math.abs': 'x', 'Math.round': 'x', 'Math.floor': 'x', 'Math.ceil': 'x', 'Math.trunc': 'x', 'Math.sign': 'x', 'Math.sqrt': 'x',
+  'Math.cbrt': 'x', 'Math.log': 'x', 'Math.log2': 'x', 'Math.log10': 'x', 'Math.exp': 'x', 'Math.sin': 'x', 'Math.cos': 'x', 'Math.tan': 'x', 'Math.random': '',
+  'JSON.stringify': 'value, replacer?, space?', 'JSON.parse': 'text, reviver?',
+  'Object.keys': 'o', 'Object.values': 'o', 'Object.entries': 'o', 'Object.fromEntries': 'entries', 'Object.assign': 'target, ...sources',
+  'Object.freeze': 'o', 'Object.create': 'proto, properties?', 'Object.defineProperty': 'o, key, descriptor', 'Object.getPrototypeOf': 'o', 'Object.is': 'a, b',
+  'Array.from': 'items, mapFn?, thisArg?', 'Array.of': '...items', 'Array.isArray': 'value',
+  'Promise.all': 'promises', 'Promise.allSettled': 'promises', 'Promise.race': 'promises', 'Promise.any': 'promises',
+  'Promise.resolve': 'value?', 'Promise.reject': 'reason?',
+  'Number.isInteger': 'value', 'Number.isFinite': 'value', 'Number.isNaN': 'value', 'Number.parseFloat': 'string', 'Number.parseInt': 'string, radix?',
+  'String.fromCharCode': '...codes', 'Date.now': '', 'Reflect.ownKeys': 'target', 'Reflect.get': 'target, key, receiver?', 'Reflect.apply': 'fn, thisArg, args',
+  Map: 'entries?', Set: 'values?', WeakMap: 'entries?', WeakSet: 'values?', Promise: 'executor(resolve, reject)', Error: 'message?, options?',
+  Date: 'value?', RegExp: 'pattern, flags?', Array: '...items', Proxy: 'target, handler', Symbol: 'description?', BigInt: 'value',
+  Number: 'value?', String: 'value?', Boolean: 'value?',
+  setTimeout: 'callback, ms?, ...args', setInterval: 'callback, ms?, ...args', clearTimeout: 'id', clearInterval: 'id',
+  parseInt: 'string, radix?', parseFloat: 'string', fetch: 'input, init?', structuredClone: 'value, options?', queueMicrotask: 'callback',
+  describe: 'name, fn', it: 'name, fn', test: 'name, fn', expect: 'value',
+};
+// Common methods by name, for calls on receivers whose type is unknown (`list.map(`)
+const METHOD_SIGNATURES = {
+  map: 'callback(value, index, array), thisArg?', filter: 'callback(value, index, array), thisArg?', forEach: 'callback(value, index, array), thisArg?',
+  find: 'callback(value, index, array), thisArg?', findIndex: 'callback(value, index, array), thisArg?', some: 'callback(value, index, array), thisArg?',
+  every: 'callback(value, index, array), thisArg?', flatMap: 'callback(value, index, array), thisArg?', reduce: 'callback(acc, value, index, array), initial?',
+  sort: 'compare?(a, b)', slice: 'start?, end?', splice: 'start, deleteCount?, ...items', concat: '...items', join: 'separator?', push: '...items',
+  unshift: '...items', indexOf: 'search, fromIndex?', includes: 'search, fromIndex?', at: 'index', fill: 'value, start?, end?', flat: 'depth?',
+  split: 'separator, limit?', replace: 'pattern, replacement', replaceAll: 'pattern, replacement', startsWith: 'search, position?', endsWith: 'search, end?',
+  padStart: 'length, fill?', padEnd: 'length, fill?', repeat: 'count', substring: 'start, end?', match: 'regexp', matchAll: 'regexp', test: 'string', exec: 'string',
+  then: 'onFulfilled?, onRejected?', catch: 'onRejected', finally: 'onFinally', get: 'key', set: 'key, value', has: 'key', delete: 'key', add: 'value',
+  toFixed: 'digits?', toString: 'radix?', addEventListener: 'type, listener, options?', removeEventListener: 'type, listener, options?',
+  querySelector: 'selectors', querySelectorAll: 'selectors', getElementById: 'id', createElement: 'tagName', append: '...nodes', appendChild: 'node',
+  setAttribute: 'name, value', getAttribute: 'name',
+};
+const IDENT_RE = /[A-Za-z_$][\w$]*/;
+const MEMBER_PATH_RE = /([A-Za-z_$][\w$]*(?:\s*\??\.\s*[A-Za-z_$][\w$]*)*)\s*\??\.\s*$/;
+// `awaiting` is the context whose sandbox members are still on their way
+const completion = { open: false, items: [], index: 0, start: 0, path: null, prefix: '', awaiting: null };
+const completionList = el('ul', 'completions');
+completionList.setAttribute('role', 'listbox');
+completionList.hidden = true;
+const paramHint = el('div', 'param-hint');
+paramHint.hidden = true;
+editorWrap.append(completionList, paramHint);
+
+// Names declared in the buffer: functions (with their parameters), classes, variables and
+// destructured bindings. A best-effort regex scan, good enough for suggestions.
+function bufferDeclarations(source) {
+  const found = new Map();
+  const add = (name, kind, params = null) => { if (name && !found.has(name)) found.set(name, { name, kind, params }); };
+  for (const m of source.matchAll(/\bfunction\b\s*\*?\s*([A-Za-z_$][\w$]*)\s*\(([^)]*)\)/g)) add(m[1], 'function', m[2]);
+  for (const m of source.matchAll(/\bclass\s+([A-Za-z_$][\w$]*)/g)) add(m[1], 'class');
+  for (const m of source.matchAll(/\b(?:const|let|var)\s+([A-Za-z_$][\w$]*)(?:\s*=\s*(?:async\s+)?(?:function\b[^(]*\(([^)]*)\)|\(([^)]*)\)\s*=>|([A-Za-z_$][\w$]*)\s*=>))?/g)) {
+    const params = m[2] ?? m[3] ?? m[4];
+    add(m[1], params == null ? 'variable' : 'function', params ?? null);
+  }
+  for (const m of source.matchAll(/\b(?:const|let|var)\s+[{[]([^}\]]*)[}\]]/g)) {
+    for (const part of m[1].split(',')) add((part.split(':').pop().split('=')[0].match(IDENT_RE) || [])[0], 'variable');
+  }
+  for (const entry of found.values()) if (entry.params != null) entry.params = entry.params.replace(/\s+/g, ' ').trim();
+  return found;
+}
+
+// Members of a built-in on this page (the sandbox shares the same built-ins); getters are not run
+function builtinMembers(path) {
+  const [head, ...rest] = path.split('.');
+  if (!BUILTINS.has(head)) return [];
+  let target = globalThis[head];
+  for (const key of rest) {
+    if (target == null) return [];
+    let desc;
+    for (let o = Object(target); o && !desc; o = Object.getPrototypeOf(o)) desc = Object.getOwnPropertyDescriptor(o, key);
+    if (!desc || !('value' in desc)) return [];
+    target = desc.value;
+  }
+  if (target == null) return [];
+  const members = new Map();
+  const self = Object(target);
+  for (let o = self; o; o = Object.getPrototypeOf(o)) {
+    if (o !== self && (o === Object.prototype || o === Function.prototype)) break;
+    for (const name of Object.getOwnPropertyNames(o)) {
+      if (members.has(name) || !/^[A-Za-z_$][\w$]*$/.test(name) || name.startsWith('__') || name === 'constructor') continue;
+      const desc = Object.getOwnPropertyDescriptor(o, name);
+      members.set(name, { name, kind: typeof desc.value === 'function' ? 'method' : 'property', params: null });
+    }
+  }
+  return [...members.values()];
+}
+
+// Ask the sandbox of the last run for a path's members once; handleCompletionMessage caches them
+function requestSandboxMembers(path) {
+  if (sandboxMembers.has(path) || !iframe || !sandboxLoaded) return;
+  sandboxMembers.set(path, null);
+  postToSandbox({ __complete: path });
+}
+function handleCompletionMessage(data) {
+  sandboxMembers.set(data.path, data.members);
+  const awaiting = completion.awaiting;
+  if (awaiting && awaiting.path === data.path && awaiting.pos === editor.selectionStart && document.activeElement === editor) updateCompletion(true);
+}
+
+// Parameters of a callee (dotted path) from the tables, the buffer or the sandbox, or null
+function signatureFor(path) {
+  if (Object.hasOwn(BUILTIN_SIGNATURES, path)) return BUILTIN_SIGNATURES[path];
+  const dot = path.lastIndexOf('.');
+  const name = path.slice(dot + 1);
+  const known = dot === -1
+    ? bufferDeclarations(editor.value).get(name) || (sandboxMembers.get('') || []).find(m => m.name === name)
+    : (sandboxMembers.get(path.slice(0, dot)) || []).find(m => m.name === name);
+  if (known && known.params != null) return known.params;
+  return dot !== -1 && Object.hasOwn(METHOD_SIGNATURES, name) ? METHOD_SIGNATURES[name] : null;
+}
+
+// Lexer state at the start of line `row`, reusing the highlighter's line cache where it is current
+function lexStateAt(lines, row) {
+  const jsx = langSelect.value === 'jsx';
+  let state = LEX_START;
+  for (let i = 0; i < row; i++) {
+    const cached = hlLines[i];
+    state = cached && cached.text === lines[i] && cached.key === lexStateKey(state) ? cached.end : lexLine(lines[i], state, jsx).state;
+  }
+  return state;
+}
+// Is the caret inside a comment, string, template text or regex literal?
+function caretInLiteral(value, pos) {
+  const lines = value.slice(0, pos).split('\n');
+  const row = lines.length - 1;
+  const col = lines[row].length;
+  const line = value.split('\n')[row];
+  const { tokens } = lexLine(line, lexStateAt(value.split('\n'), row), langSelect.value === 'jsx');
+  return tokens.some(t => {
+    if (!TOKEN_CLASS[t.type] || t.type === 'number' || t.type === 'interp' || t.type === 'tag' || t.start >= col || t.end < col) return false;
+    if (t.end > col) return true;
+    // The caret is at the token's end: outside once the literal is closed
+    if (t.type === 'comment') return t.value.startsWith('//') || !t.value.endsWith('*/') || (t.value.startsWith('/*') && t.value.length < 4);
+    if (t.type === 'regex') return false;
+    return t.value.length < 2 || !/["'`]$/.test(t.value);
+  });
+}
+
+// Where completion applies at the caret: { start, prefix, path }, or null
+function completionContext(force) {
+  const { value, selectionStart: pos, selectionEnd } = editor;
+  if (pos !== selectionEnd || cursors.extra.length) return null;
+  const before = value.slice(Math.max(0, pos - 500), pos);
+  const prefix = (before.match(/[A-Za-z_$][\w$]*$/) || [''])[0];
+  if (/[\w$]/.test(value[pos] || '')) return null; // in the middle of a word
+  const rest = before.slice(0, before.length - prefix.length);
+  const member = rest.match(MEMBER_PATH_RE);
+  if (!member && !prefix && !force) return null;
+  if (caretInLiteral(value, pos)) return null;
+  return { start: pos - prefix.length, prefix, path: member ? member[1].replace(/[\s?]/g, '') : '' };
+}
+
+// Candidates for a context, matching its prefix; case-sensitive prefix matches first
+function completionItems(ctx) {
+  const merged = new Map();
+  const add = (items) => { for (const item of items) if (!merged.has(item.name)) merged.set(item.name, item); };
+  if (ctx.path) {
+    requestSandboxMembers(ctx.path);
+    add(sandboxMembers.get(ctx.path) || []);
+    add(builtinMembers(ctx.path));
+  } else {
+    requestSandboxMembers('');
+    add(bufferDeclarations(editor.value).values());
+    add(sandboxMembers.get('') || []);
+    add([...BUILTINS].map(name => ({ name, kind: typeof globalThis[name] === 'function' && /^[A-Z]/.test(name) ? 'class' : 'variable', params: null })));
+    add([...KEYWORDS, ...(langSelect.value !== 'js' ? TS_KEYWORDS : [])].map(name => ({ name, kind: 'keyword', params: null })));
+  }
+  const lower = ctx.prefix.toLowerCase();
+  const rank = (item) => (item.name.startsWith(ctx.prefix) ? 0 : 1);
+  const paramsOf = (item) => {
+    if (item.kind !== 'function' && item.kind !== 'method' && item.kind !== 'class') return null;
+    const full = ctx.path ? `${ctx.path}.${item.name}` : item.name;
+    if (Object.hasOwn(BUILTIN_SIGNATURES, full)) return BUILTIN_SIGNATURES[full];
+    if (item.params != null) return item.params;
+    return ctx.path && Object.hasOwn(METHOD_SIGNATURES, item.name) ? METHOD_SIGNATURES[item.name] : null;
+  };
+  return [...merged.values()]
+    .filter(item => item.name !== ctx.prefix && item.name.toLowerCase().startsWith(lower))
+    .map(item => ({ ...item, params: paramsOf(item) }))
+    .sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name))
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+// Open, refresh or close the list for the caret position
+function updateCompletion(force = false) {
+  const ctx = completionContext(force || completion.open);
+  const items = ctx ? completionItems(ctx) : [];
+  if (!items.length) closeCompletion();
+  completion.awaiting = ctx && sandboxMembers.get(ctx.path) === null ? { path: ctx.path, pos: editor.selectionStart } : null;
+  if (!items.length) return;
+  const selected = completion.open && completion.items[completion.index];
+  Object.assign(completion, ctx, { open: true, items });
+  completion.index = Math.max(0, selected ? items.findIndex(item => item.name === selected.name) : 0);
+  renderCompletion();
+}
+function closeCompletion() {
+  completion.awaiting = null;
+  if (!completion.open) return;
+  completion.open = false;
+  completion.items = [];
+  completionList.hidden = true;
+}
+function renderCompletion() {
+  completionList.textContent = '';
+  completion.items.forEach((item, i) => {
+    const li = el('li', i === completion.index ? 'completion selected' : 'completion');
+    li.setAttribute('role', 'option');
+    li.dataset.index = i;
+    li.append(el('span', `cmp-kind ${item.kind}`, KIND_ICONS[item.kind]), el('b', null, item.name.slice(0, completion.prefix.length)), item.name.slice(completion.prefix.length));
+    if (item.params != null) li.append(el('span', 'cmp-params', `(${item.params})`));
+    completionList.append(li);
+  });
+  completionList.hidden = false;
+  positionAtCaret(completionList, completion.start, 'below');
+  const current = completionList.children[completion.index];
+  if (current) current.scrollIntoView({ block: 'nearest' });
+}
+function acceptCompletion(index = completion.index) {
+  const item = completion.items[index];
+  if (!item) return;
+  const end = editor.selectionStart;
+  const callable = (item.kind === 'function' || item.kind === 'method') && item.params != null && editor.value[end] !== '(';
+  closeCompletion();
+  recordEdit();
+  editor.setRangeText(callable ? `${item.name}()` : item.name, completion.start, end, 'end');
+  if (callable) editor.selectionStart = editor.selectionEnd = editor.selectionStart - 1;
+  editorChanged();
+  updateParamHint();
+}
+
+// Caret pixel position in the textarea: a hidden mirror element with the same text metrics
+// renders the text before `pos`, followed by a marker.
+const MIRROR_STYLES = ['boxSizing', 'width', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft', 'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth', 'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'letterSpacing', 'lineHeight', 'tabSize', 'textIndent', 'wordSpacing', 'whiteSpace', 'wordBreak', 'overflowWrap'];
+function caretCoordinates(input, pos) {
+  const style = getComputedStyle(input);
+  const mirror = el('div');
+  for (const prop of MIRROR_STYLES) mirror.style[prop] = style[prop];
+  Object.assign(mirror.style, { position: 'absolute', visibility: 'hidden', top: '0', left: '-9999px', overflow: 'hidden', height: 'auto' });
+  mirror.textContent = input.value.slice(0, pos);
+  const marker = el('span', null, input.value.slice(pos).split('\n')[0] || '.');
+  mirror.append(marker);
+  document.body.append(mirror);
+  const coords = { top: marker.offsetTop - input.scrollTop, left: marker.offsetLeft - input.scrollLeft, height: parseFloat(style.lineHeight) || 21 };
+  mirror.remove();
+  return coords;
+}
+// Place a popup under (or, with no room, above) the caret line, or the other way round
+function positionAtCaret(popup, pos, prefer) {
+  const { top, left, height } = caretCoordinates(editor, pos);
+  const room = editorWrap.clientHeight;
+  const below = top + height + 2;
+  const above = top - popup.offsetHeight - 2;
+  const useBelow = prefer === 'below' ? below + popup.offsetHeight <= room || above < 0 : above < 0;
+  popup.style.top = `${useBelow ? below : above}px`;
+  popup.style.left = `${Math.max(0, Math.min(left, editorWrap.clientWidth - popup.offsetWidth))}px`;
+}
+
+// The innermost unclosed call around the caret: { path, arg, start }, or null
+function callContext(value, pos) {
+  let depth = 0;
+  let arg = 0;
+  for (let i = pos - 1, limit = Math.max(0, pos - 2000); i >= limit; i--) {
+    const ch = value[i];
+    if (ch === ')' || ch === ']' || ch === '}') depth++;
+    else if (ch === '(' || ch === '[' || ch === '{') {
+      if (depth) { depth--; continue; }
+      if (ch !== '(') return null;
+      const m = value.slice(Math.max(0, i - 200), i).match(/([A-Za-z_$][\w$]*(?:\s*\??\.\s*[A-Za-z_$][\w$]*)*)\s*$/);
+      if (!m || KEYWORDS.has(m[1])) return null;
+      return { path: m[1].replace(/[\s?]/g, ''), arg, start: i };
+    } else if (ch === ',' && !depth) arg++;
+    else if (ch === ';' && !depth) return null;
+  }
+  return null;
+}
+// Split a parameter list at its top-level commas
+function splitParams(params) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of params) {
+    if (ch === ',' && !depth) { parts.push(current.trim()); current = ''; continue; }
+    if ('([{<'.includes(ch)) depth++;
+    else if (')]}>'.includes(ch)) depth--;
+    current += ch;
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+function updateParamHint() {
+  const { value, selectionStart: pos, selectionEnd } = editor;
+  const call = pos === selectionEnd && !cursors.extra.length && document.activeElement === editor ? callContext(value, pos) : null;
+  const params = call && !caretInLiteral(value, pos) ? signatureFor(call.path) : null;
+  if (params == null) { paramHint.hidden = true; return; }
+  const parts = splitParams(params);
+  let current = Math.min(call.arg, parts.length - 1);
+  if (call.arg >= parts.length && !(parts[parts.length - 1] || '').startsWith('...')) current = -1;
+  paramHint.textContent = '';
+  paramHint.append(`${call.path}(`);
+  parts.forEach((part, i) => {
+    if (i) paramHint.append(', ');
+    paramHint.append(i === current ? el('b', null, part) : part);
+  });
+  paramHint.append(')');
+  paramHint.hidden = false;
+  positionAtCaret(paramHint, call.start, 'above');
+}
+
+// Capture phase, ahead of the Tab indent and Enter auto-indent handlers
+editor.addEventListener('keydown', (e) => {
+  if (!completion.open) return;
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    const n = completion.items.length;
+    completion.index = (completion.index + (e.key === 'ArrowDown' ? 1 : n - 1)) % n;
+    renderCompletion();
+  } else if ((e.key === 'Tab' || e.key === 'Enter') && !e.shiftKey && !e.ctrlKey && !e.metaKey && !e.altKey) {
+    acceptCompletion();
+  } else if (e.key === 'Escape') {
+    closeCompletion();
+  } else {
+    if (['ArrowLeft', 'ArrowRight', 'Home', 'End', 'PageUp', 'PageDown'].includes(e.key) || e.ctrlKey || e.metaKey || e.altKey) closeCompletion();
+    return;
+  }
+  e.preventDefault();
+  e.stopImmediatePropagation();
+}, true);
+editor.addEventListener('input', (e) => {
+  if (e.inputType === 'insertText' && e.data && /^[\w$.]$/.test(e.data)) updateCompletion();
+  else if (completion.open && e.inputType === 'deleteContentBackward') updateCompletion();
+  else closeCompletion();
+});
+// Characters handled by key handlers (brackets, quotes, Enter) do not fire `input`
+editor.addEventListener('keyup', (e) => {
+  if (!['Shift', 'Control', 'Meta', 'Alt', 'CapsLock'].includes(e.key)) updateParamHint();
+});
+editor.addEventListener('mouseup', () => { closeCompletion(); updateParamHint(); });
+editor.addEventListener('blur', () => { closeCompletion(); paramHint.hidden = true; });
+editor.addEventListener('scroll', () => {
+  if (completion.open) positionAtCaret(completionList, completion.start, 'below');
+  if (!paramHint.hidden) updateParamHint();
+});
+// mousedown would blur the editor and close the list before the click lands
+completionList.addEventListener('mousedown', (e) => {
+  e.preventDefault();
+  const li = e.target.closest('.completion');
+  if (li) acceptCompletion(Number(li.dataset.index));
+});
+
+// One indent level as configured in Settings
+const indentUnit = () => (settings.indentWithTabs ? '\t' : ' '.repeat(settings.indentSize));
+// Characters an outdent removes from the start of `line`: a tab, or up to one level of spaces
+function outdentWidth(line) {
+  if (line.startsWith('\t')) return 1;
+  return Math.min(line.match(/^ */)[0].length, settings.indentSize);
+}
+
+// Handle Tab indentation inside textarea (insert one indent level; support multi-line & Shift+Tab)
 editor.addEventListener('keydown', (e) => {
   if (e.key !== 'Tab') return;
   e.preventDefault();
-  const indent = '    '; // 4 spaces
+  const indent = indentUnit();
   const { selectionStart: start, selectionEnd: end, value } = editor;
+  recordEdit(); // a no-op outdent leaves an unchanged step, which undo skips
   const before = value.slice(0, start);
   const selected = value.slice(start, end);
   const after = value.slice(end);
@@ -314,20 +3572,9 @@ editor.addEventListener('keydown', (e) => {
   // Outdent
   let removedFirst = 0; // adjust new caret start shift
       const outdented = lines.map((line, idx) => {
-        if (line.startsWith(indent)) {
-          if (idx === 0) removedFirst = indent.length; // caret shift for first line
-          return line.slice(indent.length);
-        } else if (line.startsWith('   ')) { // odd partial
-          if (idx === 0) removedFirst = 3;
-          return line.slice(3);
-        } else if (line.startsWith('  ')) {
-          if (idx === 0) removedFirst = 2;
-          return line.slice(2);
-        } else if (line.startsWith(' ')) {
-          if (idx === 0) removedFirst = 1;
-          return line.slice(1);
-        }
-        return line; // unchanged
+        const remove = outdentWidth(line); // a whole level, or an odd partial one
+        if (idx === 0) removedFirst = remove; // caret shift for first line
+        return line.slice(remove);
       }).join('\n');
       const newValue = before + outdented + after;
       editor.value = newValue;
@@ -348,11 +3595,7 @@ editor.addEventListener('keydown', (e) => {
   // Find start of line
       const lineStart = before.lastIndexOf('\n') + 1;
       const line = value.slice(lineStart, end);
-      let remove = 0;
-      if (line.startsWith(indent)) remove = indent.length;
-      else if (line.startsWith('   ')) remove = 3;
-      else if (line.startsWith('  ')) remove = 2;
-      else if (line.startsWith(' ')) remove = 1;
+      const remove = outdentWidth(line);
       if (remove) {
         editor.value = value.slice(0, lineStart) + line.slice(remove) + after;
         const delta = remove;
@@ -365,14 +3608,14 @@ editor.addEventListener('keydown', (e) => {
       editor.selectionStart = editor.selectionEnd = start + indent.length;
     }
   }
-  if (autoRunEl.checked) run(); // keep live behavior
-  scheduleHighlight();
+  editorChanged();
 });
 
-// Auto bracket/quote pairing & navigation（只在有選取文字時自動包裹，否則不自動補對，undo/redo 完全原生）
+// Auto bracket/quote pairing & navigation (edits are recorded in the editor undo history)
 const openToClose = { '(': ')', '[': ']', '{': '}', '"': '"', "'": "'", '`': '`' };
 const closers = new Set(Object.values(openToClose));
 editor.addEventListener('keydown', (e) => {
+  if (!settings.autoPair) return;
   // 只在有選取文字時自動包裹
   if (openToClose[e.key]) {
     const { selectionStart: start, selectionEnd: end, value } = editor;
@@ -380,11 +3623,11 @@ editor.addEventListener('keydown', (e) => {
       // 包裹選取內容
       e.preventDefault();
       const close = openToClose[e.key];
+      recordEdit();
       editor.setRangeText(e.key + value.slice(start, end) + close, start, end, 'select');
       editor.selectionStart = start + 1;
       editor.selectionEnd = end + 1;
-      if (autoRunEl.checked) run();
-      scheduleHighlight();
+      editorChanged();
     } else {
       // 無選取內容時自動補成對符號並將游標置中
       const close = openToClose[e.key];
@@ -396,11 +3639,11 @@ editor.addEventListener('keydown', (e) => {
       const escapedQuote = (e.key === '"' || e.key === "'" || e.key === '`') && prev === '\\';
       if (shouldPair && !escapedQuote) {
         e.preventDefault();
+        recordEdit();
         editor.setRangeText(e.key + close, start, start, 'end');
         // caret 移到中間
         editor.selectionStart = editor.selectionEnd = start + 1;
-        if (autoRunEl.checked) run();
-        scheduleHighlight();
+        editorChanged();
       }
     }
   }
@@ -408,22 +3651,22 @@ editor.addEventListener('keydown', (e) => {
 
 // Backspace 刪除成對符號
 editor.addEventListener('keydown', (e) => {
-  if (e.key !== 'Backspace') return;
+  if (e.key !== 'Backspace' || !settings.autoPair) return;
   const { selectionStart: start, selectionEnd: end, value } = editor;
   if (start !== end || start === 0 || start >= value.length) return;
   const prev = value[start - 1];
   const next = value[start];
   if (openToClose[prev] === next) {
     e.preventDefault();
+    recordEdit();
     editor.setRangeText('', start - 1, start + 1, 'start');
-    if (autoRunEl.checked) run();
-    scheduleHighlight();
+    editorChanged();
   }
 });
 
 // 跳過已存在的 close
 editor.addEventListener('keydown', (e) => {
-  if (!closers.has(e.key)) return;
+  if (!closers.has(e.key) || !settings.autoPair) return;
   const { selectionStart: start, selectionEnd: end, value } = editor;
   if (start !== end) return;
   if (value.slice(start, start + 1) === e.key) {
@@ -438,13 +3681,14 @@ editor.addEventListener('keydown', (e) => {
   const { selectionStart: start, selectionEnd: end, value } = editor;
   if (start !== end) return; // If there is a selection, use default behavior
   e.preventDefault();
+  recordEdit();
   const before = value.slice(0, start);
   const after = value.slice(end);
   const lineStart = before.lastIndexOf('\n') + 1;
   const currentLine = before.slice(lineStart);
   const baseIndent = (currentLine.match(/^[ \t]*/)||[''])[0];
   const opensExtra = /[\{\[\(]\s*$/.test(currentLine);
-  const extra = opensExtra ? '    ' : '';
+  const extra = opensExtra ? indentUnit() : '';
   // If the next non-space character is a closing bracket and the current line ends with an opening bracket, create a block structure with an empty line
   const nextChar = after[0];
   if (opensExtra && nextChar && /[}\]\)]/.test(nextChar)) {
@@ -457,8 +3701,7 @@ editor.addEventListener('keydown', (e) => {
     editor.value = before + insert + after;
     editor.selectionStart = editor.selectionEnd = start + insert.length;
   }
-  if (autoRunEl.checked) run();
-  scheduleHighlight();
+  editorChanged();
 });
 // Do not auto-run on load; waits for user input or Example/Run
 
@@ -468,8 +3711,9 @@ editor.addEventListener('paste', (e) => {
   const text = e.clipboardData.getData('text/plain');
   if (!text || !/\n/.test(text)) return; // Only format multi-line paste
   e.preventDefault();
-  // Normalize indentation: remove common leading spaces, convert tabs to 4 spaces
-  let lines = text.replace(/\t/g, '    ').split(/\r?\n/);
+  // Normalize indentation: remove common leading spaces (tabs count as one indent level)
+  const size = settings.indentSize;
+  let lines = text.replace(/\t/g, ' '.repeat(size)).split(/\r?\n/);
   // Ignore empty lines for indent detection
   const nonEmpty = lines.filter(l => l.trim());
   let minIndent = 1e9;
@@ -481,6 +3725,7 @@ editor.addEventListener('paste', (e) => {
   if (minIndent > 0 && minIndent < 1e9) {
     lines = lines.map(l => l.startsWith(' '.repeat(minIndent)) ? l.slice(minIndent) : l);
   }
+  if (settings.indentWithTabs) lines = lines.map(l => l.replace(/^ +/, sp => '\t'.repeat(Math.floor(sp.length / size)) + ' '.repeat(sp.length % size)));
   // When inserting, auto-align to the current line's indentation
   const { selectionStart: start, selectionEnd: end, value } = editor;
   const before = value.slice(0, start);
@@ -488,9 +3733,9 @@ editor.addEventListener('paste', (e) => {
   const lineStart = before.lastIndexOf('\n') + 1;
   const baseIndent = (before.slice(lineStart).match(/^[ \t]*/)||[''])[0];
   const formatted = lines.map((l,i) => (i===0?l:baseIndent+l)).join('\n');
+  recordEdit();
   editor.value = before + formatted + after;
   const newPos = before.length + formatted.length;
   editor.selectionStart = editor.selectionEnd = newPos;
-  if (autoRunEl.checked) run();
-  scheduleHighlight();
+  editorChanged();
 });